@@ -0,0 +1,77 @@
+// Price / market cap alert conditions: parsing and evaluation
+
+// Supported metrics map to enriched token fields
+const ALERT_METRICS = {
+  mc: { field: 'marketCap', label: 'Market Cap' },
+  price: { field: 'price', label: 'Price' }
+};
+
+// A triggered alert re-arms only after the value moves this far back past the threshold
+const ALERT_REARM_BUFFER = 0.05;
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// Parse "1000000", "1e6", "1.5m", "$25k"
+function parseThreshold(value) {
+  const match = /^\$?(\d+(?:\.\d+)?(?:e[+-]?\d+)?)([kmb])?$/i.exec(String(value || '').trim());
+  if (!match) return null;
+
+  const n = parseFloat(match[1]) * (match[2] ? SUFFIXES[match[2].toLowerCase()] : 1);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Parse ["mc", ">", "1000000"] (or ["mc>1000000"]) into a condition
+function parseAlertCondition(args) {
+  const match = /^(mc|marketcap|price)\s*(>=|<=|>|<)\s*(\S+)$/i.exec(args.join(' ').trim());
+  if (!match) return null;
+
+  const metric = match[1].toLowerCase() === 'price' ? 'price' : 'mc';
+  const threshold = parseThreshold(match[3]);
+  if (threshold === null) return null;
+
+  return { metric, operator: match[2], threshold };
+}
+
+function getMetricValue(condition, token) {
+  return Number(token[ALERT_METRICS[condition.metric].field]) || 0;
+}
+
+function isConditionMet(condition, token) {
+  const value = getMetricValue(condition, token);
+
+  switch (condition.operator) {
+    case '>': return value > condition.threshold;
+    case '<': return value < condition.threshold;
+    case '>=': return value >= condition.threshold;
+    case '<=': return value <= condition.threshold;
+    default: return false;
+  }
+}
+
+// Hysteresis: the condition has to be clearly false again before the alert re-arms
+function shouldRearm(condition, token) {
+  const value = getMetricValue(condition, token);
+
+  if (condition.operator === '>' || condition.operator === '>=') {
+    return value < condition.threshold * (1 - ALERT_REARM_BUFFER);
+  }
+  return value > condition.threshold * (1 + ALERT_REARM_BUFFER);
+}
+
+function describeCondition(condition) {
+  const threshold = condition.metric === 'price' ?
+    `$${condition.threshold}` :
+    `$${condition.threshold.toLocaleString('en-US')}`;
+  return `${ALERT_METRICS[condition.metric].label} ${condition.operator} ${threshold}`;
+}
+
+module.exports = {
+  ALERT_METRICS,
+  ALERT_REARM_BUFFER,
+  parseThreshold,
+  parseAlertCondition,
+  getMetricValue,
+  isConditionMet,
+  shouldRearm,
+  describeCondition
+};
@@ -0,0 +1,164 @@
+// API key authentication and per-key request quotas for /api and /ws
+const { findApiKey, recordApiKeyUsage } = require('./cache-solana-tokens');
+
+const QUOTA_WINDOW = 60 * 1000; // Quotas are requests per minute
+const KEY_LOOKUP_TTL = 60 * 1000; // Revoked keys stop working within a minute
+const KEY_CACHE_MAX = 1000; // Oldest cached keys are dropped beyond this
+const USAGE_FLUSH_INTERVAL = 30 * 1000;
+
+// X-API-Key header, Authorization: Bearer, or ?api_key= (browsers can't set headers on WebSockets)
+function extractApiKey(req, allowQuery) {
+  const header = req.headers['x-api-key'];
+  if (header) return header.trim();
+
+  const auth = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (auth) return auth[1];
+
+  if (allowQuery) {
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('api_key');
+  }
+  return null;
+}
+
+function createApiAuth() {
+  const keyCache = new Map(); // key -> { record, expiresAt }, known keys only
+  const windows = new Map(); // key id -> { start, count }
+  const usage = new Map(); // key id -> { requests, rejected }
+
+  async function lookup(key) {
+    const cached = keyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.record;
+
+    // Unknown keys are not cached, so random keys can't grow the cache
+    const record = await findApiKey(key);
+    keyCache.delete(key);
+    if (!record) return null;
+
+    keyCache.set(key, { record, expiresAt: Date.now() + KEY_LOOKUP_TTL });
+    if (keyCache.size > KEY_CACHE_MAX) keyCache.delete(keyCache.keys().next().value);
+    return record;
+  }
+
+  function countUsage(id, field) {
+    const entry = usage.get(id) || { requests: 0, rejected: 0 };
+    entry[field]++;
+    usage.set(id, entry);
+  }
+
+  // Fixed one-minute window per key
+  function consume(record) {
+    const now = Date.now();
+    let window = windows.get(record.id);
+    if (!window || now - window.start >= QUOTA_WINDOW) {
+      window = { start: now, count: 0 };
+      windows.set(record.id, window);
+    }
+
+    const resetIn = Math.ceil((window.start + QUOTA_WINDOW - now) / 1000);
+
+    if (window.count >= record.rate_limit) {
+      countUsage(record.id, 'rejected');
+      return { allowed: false, remaining: 0, resetIn };
+    }
+
+    window.count++;
+    countUsage(record.id, 'requests');
+    return { allowed: true, remaining: record.rate_limit - window.count, resetIn };
+  }
+
+  // { status, error, headers } on failure, { record, headers } on success
+  async function authenticate(req, allowQuery) {
+    const key = extractApiKey(req, allowQuery);
+    if (!key) {
+      return { status: 401, error: 'API key required', headers: {} };
+    }
+
+    const record = await lookup(key);
+    if (!record) {
+      return { status: 401, error: 'Invalid API key', headers: {} };
+    }
+
+    const quota = consume(record);
+    const headers = {
+      'X-RateLimit-Limit': String(record.rate_limit),
+      'X-RateLimit-Remaining': String(quota.remaining),
+      'X-RateLimit-Reset': String(quota.resetIn)
+    };
+
+    if (!quota.allowed) {
+      return { status: 429, error: 'Rate limit exceeded', headers: { ...headers, 'Retry-After': String(quota.resetIn) } };
+    }
+
+    return { record, headers };
+  }
+
+  async function middleware(req, res, next) {
+    try {
+      const result = await authenticate(req, false);
+      res.set(result.headers);
+
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+
+      req.apiKey = result.record;
+      next();
+    } catch (error) {
+      console.error('❌ Error checking API key:', error.message);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  // ws verifyClient: each handshake counts as one request
+  function verifyClient(info, callback) {
+    authenticate(info.req, true)
+      .then(result => {
+        if (result.error) {
+          return callback(false, result.status, result.error, result.headers);
+        }
+        info.req.apiKey = result.record;
+        callback(true);
+      })
+      .catch(error => {
+        console.error('❌ Error checking API key:', error.message);
+        callback(false, 500, 'Internal server error');
+      });
+  }
+
+  // Persist in-memory usage counters and forget stale lookups
+  async function flushUsage() {
+    const now = Date.now();
+    keyCache.forEach((entry, key) => {
+      if (entry.expiresAt <= now) keyCache.delete(key);
+    });
+    windows.forEach((window, id) => {
+      if (now - window.start >= QUOTA_WINDOW) windows.delete(id);
+    });
+
+    const pending = [...usage.entries()];
+    usage.clear();
+
+    for (const [id, counts] of pending) {
+      try {
+        await recordApiKeyUsage(id, counts.requests, counts.rejected);
+      } catch (error) {
+        console.error(`❌ Error recording usage for API key #${id}:`, error.message);
+      }
+    }
+  }
+
+  const flushTimer = setInterval(flushUsage, USAGE_FLUSH_INTERVAL);
+
+  return {
+    middleware,
+    verifyClient,
+    flushUsage,
+    stop: () => clearInterval(flushTimer)
+  };
+}
+
+module.exports = {
+  createApiAuth,
+  extractApiKey
+};
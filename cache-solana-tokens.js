@@ -3,19 +3,65 @@ const sqlite3 = require('sqlite3').verbose();
 const axios = require('axios');
 const Bottleneck = require('bottleneck');
 const path = require('path');
+const crypto = require('crypto');
 const redis = require('redis');
+const { isConditionMet, shouldRearm, describeCondition } = require('./alert-conditions');
+const { escapeHtml, formatPrice, formatUsd, formatTokenCard } = require('./token-card');
+const { WEBHOOK_EVENTS, buildTokenEvents, updateAuthorityStates } = require('./token-events');
+const { extensionRiskFields } = require('./token-risks');
+const { normalizeTokenMetadataBatch } = require('./token-metadata');
+const { HOLDER_FIELDS, computeHolderConcentration } = require('./holder-concentration');
+const { loadListProfiles, matchesFilter, applyListRules, describeListRules } = require('./list-rules');
+const metrics = require('./metrics');
 
 // Configuration
 const DEXSCREENER_API = 'https://api.dexscreener.com/token-profiles/latest/v1';
 const DEXSCREENER_SEARCH_API = 'https://api.dexscreener.com/latest/dex/search/?q=';
+const DEXSCREENER_TOKENS_API = 'https://api.dexscreener.com/tokens/v1/solana/'; // + comma-separated mints
+const DEXSCREENER_TOKENS_PER_CALL = 30; // Maximum mints per multi-address call
 const HELIUS_BASE_URL = 'https://api.helius.xyz/v0';
-const DB_PATH = path.join(__dirname, 'tokens.db');
+// Any standard Solana JSON-RPC endpoint; defaults to Helius when a key is set, else the public cluster
+const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || (process.env.HELIUS_API_KEY ?
+  `https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}` : 'https://api.mainnet-beta.solana.com');
+const MINT_ACCOUNTS_PER_CALL = 100; // getMultipleAccounts maximum
+const TOKEN_PROGRAMS = {
+  TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA: 'spl-token',
+  TokenzQdBNbLqP5VEhdkAS6EPFLC1PTi4oTs5wSxtsJQ: 'token-2022'
+};
+const DB_PATH = process.env.TOKENS_DB_PATH || path.join(__dirname, 'tokens.db');
+const SQLITE_BUSY_TIMEOUT = 5000; // The cache job and the server write the same file; wait this long for a lock
 const CACHE_EXPIRY = 300; // 5 minutes in seconds
 const ENRICHED_CACHE_EXPIRY = 300; // 5 minutes in seconds
-const MAX_TOKENS = 50; // Maximum tokens to store in database
-const MIN_MARKET_CAP = 25000; // Minimum market cap in USD
-const BATCH_SIZE = 20; // Number of tokens to process in each batch
+const BATCH_SIZE = 30; // Number of tokens to process in each batch (one DexScreener multi-address call)
 const METADATA_CACHE_EXPIRY = 3600; // 1 hour for metadata (rarely changes)
+const HOLDERS_CACHE_EXPIRY = 900; // 15 minutes for holder concentration (3 RPC calls per mint to refresh)
+const MAX_HOLDER_LOOKUPS_PER_RUN = 40; // Uncached holder lookups per enrichment run; the rest wait for the next run
+const MAX_WATCHLIST_TOKENS = 25; // Maximum tokens per user watchlist
+const MAX_ALERTS_PER_USER = 20; // Maximum active alerts per user
+const NOTIFICATION_MAX_AGE = 3600; // Undelivered notifications older than 1 hour are dropped
+const SEEN_TOKENS_RETENTION = 7 * 24 * 3600; // Remember seen mints for 7 days
+const AUTHORITY_STATE_RETENTION = 7 * 24 * 3600; // Last known mint / freeze authorities are kept for 7 days
+const UPDATE_DEDUPE_WINDOW = 3600; // Telegram update_ids are remembered for 1 hour
+const MAX_NEW_TOKEN_PUSHES = 10; // Maximum new token pushes per chat per run
+const DEFAULT_API_RATE_LIMIT = 60; // Requests per minute for new API keys
+const WEBHOOK_MAX_ATTEMPTS = 8; // Failed webhook deliveries are dead-lettered after this many attempts
+const WEBHOOK_RETRY_BASE = 30; // First retry after 30 seconds, doubling each attempt
+const WEBHOOK_RETRY_MAX = 3600; // Never wait more than 1 hour between attempts
+const WEBHOOK_DELIVERY_RETENTION = 7 * 24 * 3600; // Delivered webhooks are kept for 7 days
+const ENRICH_LOCK_TTL = 15 * 60; // A run holding the enrichment lock longer than 15 minutes is presumed dead
+
+// Named token lists (filter, sort, limit each) from LIST_RULES / LIST_RULES_FILE, see list-rules.js
+const LIST_PROFILES = loadListProfiles();
+
+// The default list keeps the original key, so existing readers see it unchanged
+function listCacheKey(listName) {
+  return listName === LIST_PROFILES.default ? 'solana:tokens:enriched' : `solana:tokens:list:${listName}`;
+}
+
+// Tokens that make at least one list
+// ignoreFields (optional) are treated as passing, see matchesFilter
+const matchesAnyList = (token, ignoreFields = null) =>
+  Object.values(LIST_PROFILES.lists).some(rules => matchesFilter(token, rules.filter, ignoreFields));
 
 // Redis configuration
 const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
@@ -70,8 +116,13 @@ async function ensureDB() {
           console.log('🔗 Connected to SQLite database');
           dbConnected = true;
           
+          // Readers don't block the other process's writer under WAL, writers wait instead of SQLITE_BUSY
+          db.configure('busyTimeout', SQLITE_BUSY_TIMEOUT);
+          
           // Create tables if they don't exist
           db.serialize(() => {
+            db.run('PRAGMA journal_mode = WAL');
+            
             // Basic tokens table
             db.run(`CREATE TABLE IF NOT EXISTS basic_tokens (
               id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -89,50 +140,163 @@ async function ensureDB() {
               created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
               expires_at DATETIME
             )`);
+            
+            // Per-user watchlists
+            db.run(`CREATE TABLE IF NOT EXISTS watchlists (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              token_address TEXT NOT NULL,
+              name TEXT,
+              ticker TEXT,
+              added_price REAL,
+              added_market_cap REAL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              UNIQUE(user_id, token_address)
+            )`);
+            
+            // Price / market cap alerts
+            db.run(`CREATE TABLE IF NOT EXISTS alerts (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              user_id INTEGER NOT NULL,
+              token_address TEXT NOT NULL,
+              name TEXT,
+              ticker TEXT,
+              metric TEXT NOT NULL,
+              operator TEXT NOT NULL,
+              threshold REAL NOT NULL,
+              triggered INTEGER DEFAULT 0,
+              last_triggered_at DATETIME,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // Mints already seen in the latest profiles (new token feed)
+            db.run(`CREATE TABLE IF NOT EXISTS seen_tokens (
+              token_address TEXT PRIMARY KEY,
+              first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // Databases from before last_seen_at: add it (fails harmlessly once it exists) and backfill
+            db.run(`ALTER TABLE seen_tokens ADD COLUMN last_seen_at DATETIME`, () => {});
+            db.run(`UPDATE seen_tokens SET last_seen_at = first_seen_at WHERE last_seen_at IS NULL`);
+            
+            // Chat subscriptions to bot feeds
+            db.run(`CREATE TABLE IF NOT EXISTS subscriptions (
+              chat_id INTEGER NOT NULL,
+              topic TEXT NOT NULL,
+              filters TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              PRIMARY KEY (chat_id, topic)
+            )`);
+            
+            // Telegram update_ids already handled (fallback when Redis is disabled)
+            db.run(`CREATE TABLE IF NOT EXISTS processed_updates (
+              update_id INTEGER PRIMARY KEY,
+              received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // API keys for the REST / WebSocket APIs (only the SHA-256 hash is stored)
+            db.run(`CREATE TABLE IF NOT EXISTS api_keys (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              name TEXT NOT NULL,
+              key_hash TEXT UNIQUE NOT NULL,
+              key_prefix TEXT NOT NULL,
+              rate_limit INTEGER NOT NULL,
+              request_count INTEGER DEFAULT 0,
+              rejected_count INTEGER DEFAULT 0,
+              last_used_at DATETIME,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              revoked_at DATETIME
+            )`);
+            
+            // Partner callback URLs for token events
+            db.run(`CREATE TABLE IF NOT EXISTS webhook_endpoints (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              url TEXT NOT NULL,
+              secret TEXT NOT NULL,
+              events TEXT NOT NULL,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // Outbox of webhook deliveries (pending, delivered or dead)
+            db.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              endpoint_id INTEGER NOT NULL,
+              event TEXT NOT NULL,
+              payload TEXT NOT NULL,
+              status TEXT NOT NULL DEFAULT 'pending',
+              attempts INTEGER DEFAULT 0,
+              next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              last_status INTEGER,
+              last_error TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              delivered_at DATETIME
+            )`);
+            
+            // Metrics persisted by the short-lived cache job for the server's /metrics
+            db.run(`CREATE TABLE IF NOT EXISTS job_metrics (
+              name TEXT PRIMARY KEY,
+              data TEXT NOT NULL,
+              updated_at DATETIME
+            )`);
+            
+            // Locks shared by every process using this database (the timer job and the server's /admin refresh)
+            db.run(`CREATE TABLE IF NOT EXISTS job_locks (
+              name TEXT PRIMARY KEY,
+              owner TEXT NOT NULL,
+              expires_at INTEGER NOT NULL
+            )`);
+            
+            // Outbox for messages the bot server delivers (the cache job runs as a separate process)
+            db.run(`CREATE TABLE IF NOT EXISTS notifications (
+              id INTEGER PRIMARY KEY AUTOINCREMENT,
+              chat_id INTEGER NOT NULL,
+              text TEXT NOT NULL,
+              attempts INTEGER DEFAULT 0,
+              last_error TEXT,
+              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              sent_at DATETIME
+            )`, () => resolve()); // Resolve once the schema is in place
           });
-          
-          resolve();
         }
       });
     });
   }
 }
 
-// Clean up expired records
+// Clean up expired records, returns the number of rows removed per table
 async function cleanupExpiredRecords() {
-  return new Promise((resolve, reject) => {
-    db.run(`DELETE FROM basic_tokens WHERE expires_at < datetime('now')`, (err) => {
-      if (err) {
-        console.error('❌ Error cleaning basic_tokens:', err.message);
-        reject(err);
-      } else {
-        console.log('🧹 Cleaned expired basic_tokens records');
-      }
-    });
+  await ensureDB();
+  
+  try {
+    const basic = await dbRun(`DELETE FROM basic_tokens WHERE expires_at < datetime('now')`);
+    console.log(`🧹 Cleaned ${basic.changes} expired basic_tokens records`);
     
-    db.run(`DELETE FROM enriched_tokens WHERE expires_at < datetime('now')`, (err) => {
-      if (err) {
-        console.error('❌ Error cleaning enriched_tokens:', err.message);
-        reject(err);
-      } else {
-        console.log('🧹 Cleaned expired enriched_tokens records');
-        resolve();
-      }
-    });
-  });
+    const enriched = await dbRun(`DELETE FROM enriched_tokens WHERE expires_at < datetime('now')`);
+    console.log(`🧹 Cleaned ${enriched.changes} expired enriched_tokens records`);
+    
+    return { basic: basic.changes, enriched: enriched.changes };
+  } catch (error) {
+    console.error('❌ Error cleaning expired records:', error.message);
+    throw error;
+  }
 }
 
 // Close database connection
+// Resolves once the connection is closed (and the WAL checkpointed into the database file)
 function closeDB() {
-  if (db) {
+  if (!db) return Promise.resolve();
+  
+  return new Promise(resolve => {
     db.close((err) => {
       if (err) {
         console.error('❌ Error closing database:', err.message);
       } else {
         console.log('🔗 Database connection closed');
       }
+      resolve();
     });
-  }
+  });
 }
 
 // Close Redis connection
@@ -198,13 +362,22 @@ async function redisTTL(key) {
 }
 
 // SQLite helper functions
-async function dbGet(table, key) {
+// options.countLookup: false leaves the read out of the cache lookup metrics (internal polling)
+async function dbGet(table, key, { countLookup = true } = {}) {
+  const countAs = (layer, result) => {
+    if (countLookup) cacheLookups.inc({ table, layer, result });
+  };
+  
   // Try Redis first
   const redisKey = `${table}:${key}`;
   const redisData = await redisGet(redisKey);
   if (redisData) {
+    countAs('redis', 'hit');
     return redisData;
   }
+  if (redisConnected && USE_REDIS) {
+    countAs('redis', 'miss');
+  }
   
   // Fallback to SQLite
   return new Promise((resolve, reject) => {
@@ -218,6 +391,7 @@ async function dbGet(table, key) {
         if (err) {
           reject(err);
         } else {
+          countAs('sqlite', row ? 'hit' : 'miss');
           resolve(row ? JSON.parse(row.data) : null);
         }
       }
@@ -273,6 +447,31 @@ async function dbExists(table, key) {
   });
 }
 
+// Generic SQL helpers for non key/value tables
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ changes: this.changes, lastID: this.lastID });
+      }
+    });
+  });
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows || []);
+      }
+    });
+  });
+}
+
 function dbTTL(table, key) {
   return new Promise((resolve, reject) => {
     db.get(
@@ -303,6 +502,21 @@ const heliusAPI = axios.create({
   timeout: 10000
 });
 
+// DexScreener and Solana RPC clients, instrumented like heliusAPI; the global axios
+// (outbound webhooks, setup scripts) is left alone
+const dexscreenerAPI = axios.create({
+  headers: {
+    'User-Agent': 'SolTools-Bot/1.0'
+  },
+  timeout: 10000
+});
+const rpcAPI = axios.create({
+  headers: {
+    'Content-Type': 'application/json'
+  },
+  timeout: 10000
+});
+
 // Rate limiters with RPM reservoirs
 const dexscreenerLimiter = new Bottleneck({
   reservoir: 50, // safe under 60 rpm
@@ -311,6 +525,14 @@ const dexscreenerLimiter = new Bottleneck({
   maxConcurrent: 1
 });
 
+// The multi-address tokens endpoint has its own, higher limit (300 rpm)
+const dexscreenerPairsLimiter = new Bottleneck({
+  reservoir: 250,
+  reservoirRefreshAmount: 250,
+  reservoirRefreshInterval: 60_000,
+  maxConcurrent: 2
+});
+
 const heliusLimiter = new Bottleneck({
   reservoir: 60, // tune to your plan
   reservoirRefreshAmount: 60,
@@ -318,13 +540,197 @@ const heliusLimiter = new Bottleneck({
   maxConcurrent: 2
 });
 
-async function dexGet(url) {
-  return dexscreenerLimiter.schedule(async () => {
+// Solana RPC calls (mint accounts); one call covers up to 100 mints
+const rpcLimiter = new Bottleneck({
+  reservoir: 60, // tune to your RPC provider
+  reservoirRefreshAmount: 60,
+  reservoirRefreshInterval: 60_000,
+  maxConcurrent: 2
+});
+
+// =============================================================================
+// METRICS
+// =============================================================================
+
+const upstreamDuration = metrics.histogram(
+  'soltools_upstream_request_duration_seconds',
+  'DexScreener / Helius request latency by response status',
+  ['upstream', 'status']
+);
+const cacheLookups = metrics.counter(
+  'soltools_cache_lookups_total',
+  'Cache reads by storage layer and result',
+  ['table', 'layer', 'result']
+);
+const enrichmentRuns = metrics.counter('soltools_enrichment_runs_total', 'Enrichment runs by result', ['result']);
+const enrichmentDuration = metrics.histogram(
+  'soltools_enrichment_run_duration_seconds',
+  'Duration of successful enrichment runs',
+  [],
+  [10, 30, 60, 120, 180, 240, 300, 600]
+);
+const enrichmentTokens = metrics.counter(
+  'soltools_enrichment_tokens_total',
+  'Enriched tokens: valid (passed filters), filtered, or failed (no data)',
+  ['result']
+);
+const enrichmentLastSuccess = metrics.gauge(
+  'soltools_enrichment_last_success_timestamp_seconds',
+  'Unix time of the last successful enrichment run'
+);
+const limiterJobs = metrics.gauge('soltools_rate_limiter_jobs', 'Bottleneck jobs by state', ['limiter', 'state']);
+const limiterReservoir = metrics.gauge('soltools_rate_limiter_reservoir', 'Requests left in the current rate limit window', ['limiter']);
+const cacheAge = metrics.gauge('soltools_cache_age_seconds', 'Seconds since each cache key was last written', ['key']);
+
+function upstreamFor(url) {
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+  if (host.endsWith('dexscreener.com')) return 'dexscreener';
+  if (host.includes('helius')) return 'helius';
+  if (host === new URL(SOLANA_RPC_URL).hostname) return 'rpc';
+  return null;
+}
+
+// Time every DexScreener / Helius / RPC request made through the client
+function instrumentUpstream(client) {
+  const observe = (config, status) => {
+    const upstream = config && upstreamFor(axios.getUri(config));
+    if (!upstream || !config.metricsStart) return;
+    upstreamDuration.observe({ upstream, status: String(status) }, Number(process.hrtime.bigint() - config.metricsStart) / 1e9);
+  };
+  
+  client.interceptors.request.use(config => {
+    config.metricsStart = process.hrtime.bigint();
+    return config;
+  });
+  client.interceptors.response.use(
+    response => {
+      observe(response.config, response.status);
+      return response;
+    },
+    error => {
+      observe(error.config, error.response?.status || error.code || 'error');
+      return Promise.reject(error);
+    }
+  );
+}
+
+instrumentUpstream(dexscreenerAPI);
+instrumentUpstream(heliusAPI);
+instrumentUpstream(rpcAPI);
+
+// Limiter state and cache age are read at scrape time
+metrics.registerCollector(async () => {
+  for (const [name, limiter] of [['dexscreener', dexscreenerLimiter], ['dexscreener_pairs', dexscreenerPairsLimiter], ['helius', heliusLimiter], ['rpc', rpcLimiter]]) {
+    Object.entries(limiter.counts()).forEach(([state, count]) => limiterJobs.set({ limiter: name, state: state.toLowerCase() }, count));
+    limiterReservoir.set({ limiter: name }, await limiter.currentReservoir());
+  }
+  
+  const writeTimes = await getCacheWriteTimes();
+  Object.entries(writeTimes).forEach(([key, writtenAt]) => {
+    cacheAge.set({ key }, Math.round((Date.now() - writtenAt.getTime()) / 1000));
+  });
+});
+
+// When the cache lists were last written ({ key: Date }), even if they have expired since
+async function getCacheWriteTimes() {
+  await ensureDB();
+  const rows = await dbAll(
+    `SELECT key_name, created_at FROM enriched_tokens WHERE key_name IN ('solana:tokens:enriched', 'solana:tokens:tracked')
+     UNION ALL
+     SELECT key_name, created_at FROM basic_tokens WHERE key_name = 'solana:tokens:latest'`
+  );
+  return Object.fromEntries(rows.map(row => [row.key_name, new Date(`${row.created_at.replace(' ', 'T')}Z`)]));
+}
+
+// SQLite / Redis reachability for readiness checks
+async function getStorageHealth() {
+  const health = {};
+  
+  try {
+    await ensureDB();
+    await dbAll('SELECT 1');
+    health.sqlite = { ok: true };
+  } catch (error) {
+    health.sqlite = { ok: false, error: error.message };
+  }
+  
+  if (!USE_REDIS) {
+    health.redis = { ok: true, enabled: false };
+    return health;
+  }
+  
+  try {
+    // The client reconnects by itself once created, don't stack new clients on every probe
+    if (!redisClient) await ensureRedis();
+    if (!redisConnected) throw new Error('Not connected');
+    await redisClient.ping();
+    health.redis = { ok: true, enabled: true };
+  } catch (error) {
+    health.redis = { ok: false, enabled: true, error: error.message };
+  }
+  
+  return health;
+}
+
+// Merge a metrics snapshot into the stored cache job snapshot
+async function persistJobMetrics(snapshot) {
+  try {
+    await ensureDB();
+    const rows = await dbAll(`SELECT data FROM job_metrics WHERE name = 'cache_job'`);
+    const merged = metrics.mergeSnapshots(rows[0] ? JSON.parse(rows[0].data) : {}, snapshot);
+    
+    await dbRun(
+      `INSERT INTO job_metrics (name, data, updated_at) VALUES ('cache_job', ?, datetime('now'))
+       ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`,
+      [JSON.stringify(merged)]
+    );
+  } catch (error) {
+    console.error('❌ Error saving job metrics:', error.message);
+  }
+}
+
+// Metric families only enrichment runs touch; they are saved after every run, wherever it ran
+const RUN_METRICS = [
+  'soltools_enrichment_runs_total',
+  'soltools_enrichment_run_duration_seconds',
+  'soltools_enrichment_tokens_total',
+  'soltools_enrichment_last_success_timestamp_seconds'
+];
+
+// Run metrics of this process already saved under the cache job
+let persistedRunMetrics = {};
+
+// Save what one run (started at the `before` snapshot) added to the run metrics
+async function persistRunMetrics(before) {
+  const changed = metrics.diffSnapshots(before, metrics.snapshotMetrics());
+  const runMetrics = Object.fromEntries(Object.entries(changed).filter(([name]) => RUN_METRICS.includes(name)));
+  
+  await persistJobMetrics(runMetrics);
+  persistedRunMetrics = metrics.mergeSnapshots(persistedRunMetrics, runMetrics);
+}
+
+// This process's metrics without the run metrics already saved, so a run started from the
+// server (/admin refresh) is not exported twice
+function localMetricsSnapshot() {
+  return metrics.diffSnapshots(persistedRunMetrics, metrics.snapshotMetrics());
+}
+
+// Stored cache job snapshot for the server's /metrics, or null before the first run
+async function getJobMetrics() {
+  await ensureDB();
+  const rows = await dbAll(`SELECT data, updated_at FROM job_metrics WHERE name = 'cache_job'`);
+  return rows[0] ? { snapshot: JSON.parse(rows[0].data), updatedAt: `${rows[0].updated_at.replace(' ', 'T')}Z` } : null;
+}
+
+async function dexGet(url, limiter = dexscreenerLimiter) {
+  return limiter.schedule(async () => {
     try {
-      return await axios.get(url, {
-        timeout: 10000,
-        headers: { 'User-Agent': 'SolTools-Bot/1.0' }
-      });
+      return await dexscreenerAPI.get(url);
     } catch (error) {
       if (error.response?.status === 429) {
         const ra = parseInt(error.response.headers['retry-after'] || '2', 10);
@@ -346,6 +752,11 @@ async function getMarketDataWithLock(mint) {
   const lockKey = `lock:market:${mint}`;
   const recentlyKey = `recent:market:${mint}`;
   
+  // Without Redis there is nothing to coordinate on, fetch directly
+  if (!redisConnected || !USE_REDIS) {
+    return fetchDexScreenerTokenData(mint);
+  }
+  
   // Check if recently looked up (30s cache)
   const recently = await redisGet(recentlyKey);
   if (recently) {
@@ -353,7 +764,10 @@ async function getMarketDataWithLock(mint) {
   }
   
   // Try to acquire lock
-  const lockAcquired = await redisClient.set(lockKey, '1', 'EX', 10, 'NX');
+  const lockAcquired = await redisClient.set(lockKey, '1', {
+    expiration: { type: 'EX', value: 10 },
+    condition: 'NX'
+  });
   if (!lockAcquired) {
     // Wait for other request to complete
     for (let i = 0; i < 20; i++) {
@@ -385,11 +799,10 @@ async function fetchDexLatest() {
   await ensureRedis();
 
   const prevEtag = await dbGet('basic_tokens', etagKey);
-  const headers = { 'User-Agent': 'SolTools-Bot/1.0' };
-  if (prevEtag) headers['If-None-Match'] = prevEtag;
+  const headers = prevEtag ? { 'If-None-Match': prevEtag } : {};
 
   try {
-    const res = await axios.get(DEXSCREENER_API, { timeout: 10000, headers });
+    const res = await dexscreenerAPI.get(DEXSCREENER_API, { headers });
     
     // Only update cache on 200 response
     if (res.status === 200) {
@@ -409,81 +822,174 @@ async function fetchDexLatest() {
   }
 }
 
-// Fetch token metadata from Helius (uncached)
-async function fetchTokenMetadata(tokenAddress) {
+// Batch fetch token metadata from Helius, normalized by token-metadata.js
+// Returns entries in the order of tokenAddresses (null where Helius had nothing)
+async function fetchTokenMetadataBatch(tokenAddresses) {
+  if (tokenAddresses.length === 0) return [];
+  
   try {
-    const response = await heliusAPI.post('/token-metadata', {
-      mintAccounts: [tokenAddress]
+    const response = await heliusLimiter.schedule(() => heliusAPI.post('/token-metadata', {
+      mintAccounts: tokenAddresses,
+      includeOffChain: true,
+      disableCache: false
     }, {
       params: {
         'api-key': process.env.HELIUS_API_KEY
       }
-    });
+    }));
     
-    return response.data?.[0] || null;
+    return normalizeTokenMetadataBatch(response.data, tokenAddresses);
   } catch (error) {
-    console.error(`❌ Error fetching metadata for ${tokenAddress}:`, error.response?.status, error.response?.statusText);
-    return null;
+    console.error(`❌ Error fetching batch metadata:`, error.response?.status || error.message, error.response?.statusText || '');
+    return tokenAddresses.map(() => null);
   }
 }
 
-// Batch fetch token metadata from Helius
-async function fetchTokenMetadataBatch(tokenAddresses) {
-  if (tokenAddresses.length === 0) return [];
-  
-  try {
-    const response = await heliusAPI.post('/token-metadata', {
-      mintAccounts: tokenAddresses
-    }, {
-      params: {
-        'api-key': process.env.HELIUS_API_KEY
-      }
+// Fetch one token's metadata from Helius (uncached)
+async function fetchTokenMetadata(tokenAddress) {
+  const [metadata] = await fetchTokenMetadataBatch([tokenAddress]);
+  return metadata;
+}
+
+// Solana RPC calls and holder lookups made by the current pipeline run, for the run summary
+let rpcCallStats = { calls: 0, methods: {}, holderLookups: 0, holderCacheHits: 0, holdersSkipped: 0 };
+
+function resetRpcCallStats() {
+  rpcCallStats = { calls: 0, methods: {}, holderLookups: 0, holderCacheHits: 0, holdersSkipped: 0 };
+}
+
+// Single JSON-RPC call against SOLANA_RPC_URL; RPC-level errors are thrown
+async function rpcCall(method, params) {
+  return rpcLimiter.schedule(async () => {
+    rpcCallStats.calls++;
+    rpcCallStats.methods[method] = (rpcCallStats.methods[method] || 0) + 1;
+    
+    const response = await rpcAPI.post(SOLANA_RPC_URL, {
+      jsonrpc: '2.0',
+      id: method,
+      method,
+      params
     });
     
-    return response.data || [];
-  } catch (error) {
-    console.error(`❌ Error fetching batch metadata:`, error.response?.status, error.response?.statusText);
-    return [];
-  }
+    if (response.data?.error) {
+      throw new Error(`${method}: ${response.data.error.message}`);
+    }
+    
+    return response.data?.result;
+  });
 }
 
-// Batch fetch token supply from Helius RPC
-async function fetchTokenSupplyBatch(tokenAddresses) {
-  if (tokenAddresses.length === 0) return [];
+// Supply, decimals and authorities from a jsonParsed mint account (SPL Token or Token-2022)
+// null when the account is missing or is not a mint
+function decodeMintAccount(account) {
+  const program = account && TOKEN_PROGRAMS[account.owner];
+  const parsed = account?.data?.parsed;
+  if (!program || parsed?.type !== 'mint') return null;
   
-  // Use individual getTokenSupply calls with rate limiting
+  const info = parsed.info || {};
+  return {
+    program,
+    supply: info.supply, // Raw amount (string, not scaled by decimals)
+    decimals: info.decimals,
+    mintAuthority: info.mintAuthority || null,
+    freezeAuthority: info.freezeAuthority || null,
+    isInitialized: info.isInitialized !== false,
+    extensions: info.extensions || [] // Token-2022 only
+  };
+}
+
+// Batch fetch mint accounts, up to 100 per getMultipleAccounts call
+// Returns decoded mints in the order of tokenAddresses (null for misses)
+async function fetchMintAccountsBatch(tokenAddresses) {
   const results = [];
-  for (const address of tokenAddresses) {
+  
+  for (let i = 0; i < tokenAddresses.length; i += MINT_ACCOUNTS_PER_CALL) {
+    const chunk = tokenAddresses.slice(i, i + MINT_ACCOUNTS_PER_CALL);
+    
     try {
-      const result = await heliusLimiter.schedule(async () => {
-        const response = await axios.post(`https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`, {
-          jsonrpc: '2.0',
-          id: 'helius-supply',
-          method: 'getTokenSupply',
-          params: [address]
-        }, {
-          headers: { 'Content-Type': 'application/json' },
-          timeout: 10000
-        });
-        
-        if (response.data?.error) {
-          console.log(`⚠️  Supply RPC error for ${address}:`, response.data.error.message);
-          return null;
-        }
-        
-        return response.data?.result || null;
-      });
-      
-      results.push(result);
+      const result = await rpcCall('getMultipleAccounts', [chunk, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+      const accounts = result?.value || [];
+      results.push(...chunk.map((address, index) => decodeMintAccount(accounts[index])));
     } catch (error) {
-      console.error(`❌ Error fetching supply for ${address}:`, error.response?.status, error.response?.statusText);
-      results.push(null);
+      console.error(`❌ Error fetching mint accounts:`, error.response?.status || error.message);
+      results.push(...chunk.map(() => null));
     }
   }
   
   return results;
 }
 
+async function fetchMintAccount(tokenAddress) {
+  const [mintAccount] = await fetchMintAccountsBatch([tokenAddress]);
+  return mintAccount;
+}
+
+// Raw account infos for any addresses, 100 per call, in the order of addresses:
+// null for accounts that don't exist, undefined where that chunk's call failed
+async function fetchAccountInfos(addresses, options) {
+  const accounts = [];
+  
+  for (let i = 0; i < addresses.length; i += MINT_ACCOUNTS_PER_CALL) {
+    const chunk = addresses.slice(i, i + MINT_ACCOUNTS_PER_CALL);
+    
+    try {
+      const result = await rpcCall('getMultipleAccounts', [chunk, { commitment: 'confirmed', ...options }]);
+      accounts.push(...chunk.map((address, index) => result?.value?.[index] || null));
+    } catch (error) {
+      console.error(`❌ Error fetching accounts:`, error.response?.status || error.message);
+      accounts.push(...chunk.map(() => undefined));
+    }
+  }
+  
+  return accounts;
+}
+
+// Token amount of a decoded mint's supply
+function mintTotalSupply(mintAccount) {
+  if (!mintAccount?.supply) return 0;
+  return Number(mintAccount.supply) / Math.pow(10, mintAccount.decimals || 0);
+}
+
+// Authority fields of an enriched token, from the mint account or else the Helius metadata
+// Unknown (null) when neither could be read, so "mintable == false" rules never pass them
+function mintAuthorityFields(mintAccount, metadata = null) {
+  if (!mintAccount) {
+    return {
+      tokenProgram: null,
+      mintAuthority: metadata?.mintAuthority || null,
+      freezeAuthority: metadata?.freezeAuthority || null,
+      mintable: metadata?.mintable ?? null,
+      freezable: metadata?.freezable ?? null
+    };
+  }
+  
+  return {
+    tokenProgram: mintAccount.program,
+    mintAuthority: mintAccount.mintAuthority,
+    freezeAuthority: mintAccount.freezeAuthority,
+    mintable: !!mintAccount.mintAuthority,
+    freezable: !!mintAccount.freezeAuthority
+  };
+}
+
+// Metaplex metadata fields of an enriched token (null without Helius metadata)
+function metadataFields(metadata) {
+  return {
+    updateAuthority: metadata?.updateAuthority || null,
+    isMutable: metadata?.isMutable ?? null,
+    metadataUri: metadata?.uri || null
+  };
+}
+
+// Holder concentration fields of an enriched token (null when it was not computed)
+function holderFields(holders) {
+  return {
+    top1HolderPct: holders?.top1HolderPct ?? null,
+    top10HolderPct: holders?.top10HolderPct ?? null,
+    holdersExcludedPct: holders?.holdersExcludedPct ?? null
+  };
+}
+
 // Cached Helius metadata with stale-while-revalidate
 async function getHeliusMetaCached(mint) {
   await ensureDB();
@@ -507,8 +1013,10 @@ async function getHeliusMetaCached(mint) {
         if (freshMeta) {
           await dbSet('basic_tokens', key, freshMeta, METADATA_CACHE_EXPIRY);
         }
+      } catch (error) {
+        console.error(`❌ Error refreshing metadata for ${mint}:`, error.message);
       } finally {
-        await redisClient.del(refreshingKey);
+        if (redisConnected) await redisClient.del(refreshingKey);
       }
     });
     
@@ -522,225 +1030,298 @@ async function getHeliusMetaCached(mint) {
 }
 
 // Fetch token data from DexScreener search API
+// The Solana pair with the highest liquidity that trades this token, or null
+function pickBestPair(pairs, tokenAddress) {
+  const solanaPairs = (pairs || []).filter(pair => 
+    pair.chainId === 'solana' && 
+    (pair.baseToken?.address === tokenAddress || pair.quoteToken?.address === tokenAddress)
+  );
+  
+  if (solanaPairs.length === 0) {
+    return null;
+  }
+  
+  // Prefer pairs where the mint is the base token, only those carry its price and market cap
+  const basePairs = solanaPairs.filter(pair => pair.baseToken?.address === tokenAddress);
+  const candidates = basePairs.length > 0 ? basePairs : solanaPairs;
+  
+  return candidates.reduce((best, current) => {
+    const currentLiquidity = parseFloat(current.liquidity?.usd || 0);
+    const bestLiquidity = parseFloat(best.liquidity?.usd || 0);
+    return currentLiquidity > bestLiquidity ? current : best;
+  });
+}
+
+// Single-token lookup through the search API (on-demand lookups and batch misses)
 async function fetchDexScreenerTokenData(tokenAddress) {
   try {
     const response = await dexGet(`${DEXSCREENER_SEARCH_API}${tokenAddress}`);
-    
-    // Find the Solana pair for this token
-    const solanaPairs = response.data?.pairs?.filter(pair => 
-      pair.chainId === 'solana' && 
-      (pair.baseToken?.address === tokenAddress || pair.quoteToken?.address === tokenAddress)
-    ) || [];
-    
-    if (solanaPairs.length === 0) {
-      return null;
-    }
-    
-    // Get the pair with highest liquidity or volume
-    const bestPair = solanaPairs.reduce((best, current) => {
-      const currentLiquidity = parseFloat(current.liquidity?.usd || 0);
-      const bestLiquidity = parseFloat(best.liquidity?.usd || 0);
-      return currentLiquidity > bestLiquidity ? current : best;
-    });
-    
-    return bestPair;
+    return pickBestPair(response.data?.pairs, tokenAddress);
   } catch (error) {
     console.error(`❌ Error fetching DexScreener data for ${tokenAddress}:`, error.response?.status, error.response?.statusText);
     return null;
   }
 }
 
-// Fetch token supply from Helius RPC
-async function fetchTokenSupply(tokenAddress) {
-  return heliusLimiter.schedule(async () => {
+// DexScreener calls made by the current pipeline run, for the run summary
+let dexCallStats = { tokens: 0, batchCalls: 0, searchCalls: 0 };
+
+function resetDexCallStats() {
+  dexCallStats = { tokens: 0, batchCalls: 0, searchCalls: 0 };
+}
+
+// Best pair per mint from the multi-address endpoint (30 mints per call);
+// mints it doesn't return fall back to one search call each
+async function fetchDexScreenerPairsBatch(tokenAddresses) {
+  const pairs = new Map();
+  dexCallStats.tokens += tokenAddresses.length;
+  
+  for (let i = 0; i < tokenAddresses.length; i += DEXSCREENER_TOKENS_PER_CALL) {
+    const chunk = tokenAddresses.slice(i, i + DEXSCREENER_TOKENS_PER_CALL);
+    
     try {
-      const response = await axios.post(`https://mainnet.helius-rpc.com/?api-key=${process.env.HELIUS_API_KEY}`, {
-        jsonrpc: '2.0',
-        id: 'helius-supply',
-        method: 'getTokenSupply',
-        params: [tokenAddress]
-      }, {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: 10000 // 10 second timeout
-      });
-      
-      if (response.data?.error) {
-        console.log(`⚠️  Supply RPC error for ${tokenAddress}:`, response.data.error.message);
-        return null;
-      }
+      dexCallStats.batchCalls++;
+      const response = await dexGet(`${DEXSCREENER_TOKENS_API}${chunk.join(',')}`, dexscreenerPairsLimiter);
+      const returned = Array.isArray(response.data) ? response.data : [];
       
-      return response.data?.result || null;
+      chunk.forEach(mint => {
+        const bestPair = pickBestPair(returned, mint);
+        if (bestPair) pairs.set(mint, bestPair);
+      });
     } catch (error) {
-      if (error.response?.status === 404) {
-        console.log(`⚠️  Token ${tokenAddress} supply not found (404)`);
-      } else {
-        console.error(`❌ Error fetching supply for ${tokenAddress}:`, error.response?.status, error.response?.statusText);
-      }
-      return null;
+      console.error(`❌ Error fetching DexScreener pairs for ${chunk.length} tokens:`, error.response?.status, error.response?.statusText || error.message);
     }
-  });
+  }
+  
+  const misses = tokenAddresses.filter(mint => !pairs.has(mint));
+  if (misses.length > 0) {
+    console.log(`🔎 ${misses.length} tokens not in the multi-address response, falling back to search`);
+  }
+  
+  for (const mint of misses) {
+    dexCallStats.searchCalls++;
+    const pair = await fetchDexScreenerTokenData(mint);
+    if (pair) pairs.set(mint, pair);
+  }
+  
+  return pairs;
 }
 
-// Fetch token metadata from Helius (including mintable/freezable)
-async function fetchTokenMetadata(tokenAddress) {
-  return heliusLimiter.schedule(async () => {
+// Cached mint account (short expiry, supply and authorities can change)
+async function getMintAccountCached(mint) {
+  await ensureDB();
+  await ensureRedis();
+  
+  const key = `solana:token:mint:${mint}`;
+  const hit = await dbGet('basic_tokens', key);
+  if (hit) return hit;
+  
+  const mintAccount = await fetchMintAccount(mint);
+  if (mintAccount) await dbSet('basic_tokens', key, mintAccount, CACHE_EXPIRY);
+  return mintAccount;
+}
+
+// Holder concentration for candidate mints ([{ tokenAddress, supply, pairAddress }], raw supply)
+// Returns Map(mint -> { top1HolderPct, top10HolderPct, holdersExcludedPct, checkedAt }); mints that
+// could not be computed are left out. Cached per mint for HOLDERS_CACHE_EXPIRY. At most maxLookups
+// uncached mints are fetched, the others are skipped until a later call.
+async function getHolderConcentrationBatch(candidates, maxLookups = Infinity) {
+  await ensureDB();
+  await ensureRedis();
+  
+  const results = new Map();
+  const misses = [];
+  
+  for (const candidate of candidates) {
+    const hit = await dbGet('basic_tokens', `solana:token:holders:${candidate.tokenAddress}`);
+    if (hit) {
+      results.set(candidate.tokenAddress, hit);
+    } else {
+      misses.push(candidate);
+    }
+  }
+  
+  const lookups = misses.slice(0, Math.max(0, maxLookups));
+  rpcCallStats.holderCacheHits += results.size;
+  rpcCallStats.holderLookups += lookups.length;
+  rpcCallStats.holdersSkipped += misses.length - lookups.length;
+  if (lookups.length === 0) return results;
+  
+  // Largest accounts need one call per mint; their owners (and the owners' programs) are batched
+  const largestAccounts = await Promise.all(lookups.map(async (candidate) => {
     try {
-      const response = await axios.post(`https://api.helius.xyz/v0/token-metadata?api-key=${process.env.HELIUS_API_KEY}`, {
-        mintAccounts: [tokenAddress],
-        includeOffChain: false,
-        disableCache: false
-      });
-      
-      if (response.data && response.data[0]) {
-        const metadata = response.data[0];
-        const freezeAuthority = metadata.onChainAccountInfo?.accountInfo?.data?.parsed?.info?.freezeAuthority;
-        const mintAuthority = metadata.onChainAccountInfo?.accountInfo?.data?.parsed?.info?.mintAuthority;
-        const isInitialized = metadata.onChainAccountInfo?.accountInfo?.data?.parsed?.info?.isInitialized;
-        
-        return {
-          mintable: mintAuthority && mintAuthority !== "" ? true : false, // If mint authority exists, it's mintable
-          freezable: freezeAuthority && freezeAuthority !== "" ? true : false, // If freeze authority exists, it's freezable
-          name: metadata.onChainMetadata?.metadata?.data?.name || metadata.legacyMetadata?.name,
-          symbol: metadata.onChainMetadata?.metadata?.data?.symbol || metadata.legacyMetadata?.symbol
-        };
-      }
-      
-      return null;
+      const result = await rpcCall('getTokenLargestAccounts', [candidate.tokenAddress, { commitment: 'confirmed' }]);
+      return result?.value || null;
     } catch (error) {
-      console.log(`⚠️  Metadata error for ${tokenAddress}: ${error.message}`);
+      console.log(`⚠️  Largest accounts error for ${candidate.tokenAddress}: ${error.message}`);
       return null;
     }
+  }));
+  
+  const tokenAccounts = [...new Set(largestAccounts.flat().filter(Boolean).map(account => account.address))];
+  const tokenAccountInfos = await fetchAccountInfos(tokenAccounts, { encoding: 'jsonParsed' });
+  const unresolved = new Set(tokenAccounts.filter((address, index) => tokenAccountInfos[index] === undefined));
+  const owners = new Map();
+  tokenAccounts.forEach((address, index) => {
+    const owner = tokenAccountInfos[index]?.data?.parsed?.info?.owner;
+    if (owner) owners.set(address, owner);
   });
+  
+  // Only the owning program is needed, so skip the account data
+  const ownerAddresses = [...new Set(owners.values())];
+  const ownerInfos = await fetchAccountInfos(ownerAddresses, { encoding: 'base64', dataSlice: { offset: 0, length: 0 } });
+  const ownerPrograms = new Map();
+  ownerAddresses.forEach((address, index) => {
+    if (ownerInfos[index] !== undefined) ownerPrograms.set(address, ownerInfos[index]?.owner || null);
+  });
+  
+  // A mint whose accounts or owners could not all be resolved is skipped (not cached), since
+  // counting an unresolved pool or program account as a wallet would inflate its numbers
+  const isResolved = account => !unresolved.has(account.address) &&
+    (!owners.has(account.address) || ownerPrograms.has(owners.get(account.address)));
+  
+  for (const [index, candidate] of lookups.entries()) {
+    if (!largestAccounts[index] || !largestAccounts[index].every(isResolved)) continue;
+    
+    const concentration = computeHolderConcentration({
+      largestAccounts: largestAccounts[index],
+      owners,
+      ownerPrograms,
+      supply: candidate.supply,
+      pairAddress: candidate.pairAddress
+    });
+    if (!concentration) continue;
+    
+    const holders = { ...concentration, checkedAt: new Date().toISOString() };
+    results.set(candidate.tokenAddress, holders);
+    await dbSet('basic_tokens', `solana:token:holders:${candidate.tokenAddress}`, holders, HOLDERS_CACHE_EXPIRY);
+  }
+  
+  return results;
 }
 
-// Note: Holder count functionality removed - focusing on reliable data sources
+async function getHolderConcentrationCached(mint, supply, pairAddress = null) {
+  const holders = await getHolderConcentrationBatch([{ tokenAddress: mint, supply, pairAddress }]);
+  return holders.get(mint) || null;
+}
 
-// Enrich a single token with DexScreener and Helius data
-async function enrichToken(token) {
-  console.log(`🔍 Enriching token: ${token.tokenAddress}`);
+// Record a Telegram update_id; false when it was already processed (webhook retry)
+async function claimUpdateId(updateId) {
+  await ensureDB();
+  await ensureRedis();
   
-  try {
-    // Fetch data from DexScreener and Helius in parallel
-    const [dexData, supply, metadata] = await Promise.all([
-      fetchDexScreenerTokenData(token.tokenAddress),
-      fetchTokenSupply(token.tokenAddress),
-      fetchTokenMetadata(token.tokenAddress)
-    ]);
-    
-    // Extract token info from DexScreener pair data
-    let name = 'Unknown';
-    let ticker = 'N/A';
-    let price = 0;
-    let marketCap = 0;
-    
-    if (dexData) {
-      // Check if our token is the base or quote token
-      const isBaseToken = dexData.baseToken?.address === token.tokenAddress;
-      const tokenInfo = isBaseToken ? dexData.baseToken : dexData.quoteToken;
-      
-      if (tokenInfo) {
-        name = tokenInfo.name || 'Unknown';
-        ticker = tokenInfo.symbol || 'N/A';
-      }
-      
-      // Get price and market cap directly from DexScreener
-      price = num(dexData.priceUsd);
-      marketCap = num(dexData.marketCap);
-    }
-    
-    // Use Helius metadata if DexScreener doesn't have name/ticker
-    if (metadata && (name === 'Unknown' || ticker === 'N/A')) {
-      name = metadata.name || name;
-      ticker = metadata.symbol || ticker;
-    }
-    
-    // Get total supply from Helius
-    const totalSupply = supply?.value?.amount ? 
-      parseInt(supply.value.amount) / Math.pow(10, supply.value.decimals || 9) : 0;
-    
-    // Extract required data with proper number normalization
-    const enrichedToken = {
-      // Original DexScreener data
-      tokenAddress: token.tokenAddress,
-      url: token.url,
-      icon: token.icon,
-      description: token.description,
-      links: token.links,
-      
-      // DexScreener enriched data
-      name: name,
-      ticker: ticker,
-      price: num(price),
-      
-      // Helius data
-      totalSupply: num(totalSupply),
-      decimals: supply?.value?.decimals || 9,
-      mintable: metadata?.mintable || false,
-      freezable: metadata?.freezable || false,
-      
-      // Calculated data
-      marketCap: num(marketCap),
-      
-      // Processing info
-      enrichedAt: new Date().toISOString(),
-      success: !!(dexData || supply),
-      hasDexData: !!dexData
-    };
-    
-    console.log(`✅ Enriched: ${enrichedToken.name} (${enrichedToken.ticker})`);
-    if (enrichedToken.hasDexData) {
-      console.log(`   Price: $${enrichedToken.price} | MC: $${enrichedToken.marketCap.toLocaleString()} | Supply: ${enrichedToken.totalSupply.toLocaleString()}`);
-      console.log(`   Mintable: ${enrichedToken.mintable ? 'Yes' : 'No'} | Freezable: ${enrichedToken.freezable ? 'Yes' : 'No'}`);
-    }
-    
-    return enrichedToken;
-    
-  } catch (error) {
-    console.error(`❌ Error enriching token ${token.tokenAddress}:`, error.message);
-    
-    // Return basic token with error flag - normalized numbers
-    return {
-      ...token,
-      name: 'Error',
-      ticker: 'ERR',
-      price: num(0),
-      totalSupply: num(0),
-      marketCap: num(0),
-      mintable: false,
-      freezable: false,
-      enrichedAt: new Date().toISOString(),
-      success: false,
-      hasDexData: false,
-      error: error.message
-    };
+  if (redisConnected && USE_REDIS) {
+    const result = await redisClient.set(`tg:update:${updateId}`, '1', {
+      expiration: { type: 'EX', value: UPDATE_DEDUPE_WINDOW },
+      condition: 'NX'
+    });
+    return result === 'OK';
+  }
+  
+  const result = await dbRun('INSERT OR IGNORE INTO processed_updates (update_id) VALUES (?)', [updateId]);
+  
+  // Trim the window every 100 updates
+  if (updateId % 100 === 0) {
+    await dbRun(
+      `DELETE FROM processed_updates WHERE received_at < datetime('now', ?)`,
+      [`-${UPDATE_DEDUPE_WINDOW} seconds`]
+    );
   }
+  
+  return result.changes > 0;
+}
+
+// Look up a single token on demand (bot commands), served from the single-flight/SWR caches
+async function getTokenDetails(mint) {
+  await ensureDB();
+  await ensureRedis();
+  
+  const [dexData, metadata, mintAccount, basicData] = await Promise.all([
+    getMarketDataWithLock(mint),
+    process.env.HELIUS_API_KEY ? getHeliusMetaCached(mint) : null,
+    getMintAccountCached(mint),
+    dbGet('basic_tokens', 'solana:tokens:latest')
+  ]);
+  
+  if (!dexData && !metadata && !mintAccount) {
+    return null;
+  }
+  
+  const holders = Number(mintAccount?.supply) > 0 ?
+    await getHolderConcentrationCached(mint, mintAccount.supply, dexData?.pairAddress) : null;
+  
+  // Prefer the DexScreener profile (links, icon) when the token is in the latest list
+  const profile = basicData?.tokens?.find(t => t.tokenAddress === mint) || {};
+  
+  const isBaseToken = dexData?.baseToken?.address === mint;
+  const tokenInfo = dexData ? (isBaseToken ? dexData.baseToken : dexData.quoteToken) : null;
+  
+  const pairLinks = [
+    ...(dexData?.info?.websites || []).map(w => ({ type: 'website', label: w.label, url: w.url })),
+    ...(dexData?.info?.socials || []).map(s => ({ type: s.type, url: s.url }))
+  ];
+  
+  return {
+    tokenAddress: mint,
+    url: profile.url || `https://dexscreener.com/solana/${mint}`,
+    icon: profile.icon || dexData?.info?.imageUrl || metadata?.offChain?.image,
+    description: profile.description || metadata?.offChain?.description,
+    links: profile.links?.length ? profile.links : pairLinks,
+    
+    name: tokenInfo?.name || metadata?.name || 'Unknown',
+    ticker: tokenInfo?.symbol || metadata?.symbol || 'N/A',
+    // Quote-side price is not the token price, only trust priceUsd for base tokens
+    price: isBaseToken ? num(dexData.priceUsd) : 0,
+    marketCap: isBaseToken ? num(dexData.marketCap || dexData.fdv) : 0,
+    
+    totalSupply: num(mintTotalSupply(mintAccount)),
+    decimals: mintAccount?.decimals ?? 9,
+    ...mintAuthorityFields(mintAccount, metadata),
+    ...extensionRiskFields(mintAccount),
+    ...metadataFields(metadata),
+    ...holderFields(holders),
+    
+    pairUrl: dexData?.url,
+    pairCreatedAt: dexData?.pairCreatedAt || null,
+    enrichedAt: new Date().toISOString(),
+    hasDexData: !!dexData,
+    hasMetadata: !!metadata
+  };
 }
 
+// Note: Holder count functionality removed - focusing on reliable data sources
+
 // Optimized batch enrichment with early filtering
-async function enrichTokensBatchOptimized(tokens, maxTokens = null) {
+// onProgress (optional) is called after every batch with { stage, batch, batches, processed }
+async function enrichTokensBatchOptimized(tokens, maxTokens = null, onProgress = null) {
   const tokensToProcess = maxTokens ? tokens.slice(0, maxTokens) : tokens;
   const enrichedTokens = [];
   
   console.log(`🔄 Processing ${tokensToProcess.length} tokens with optimized batch processing...`);
   console.log(`⏱️  Estimated time: ~${Math.ceil(tokensToProcess.length / BATCH_SIZE) * 2} seconds (batched API calls)`)
   
+  const batches = Math.ceil(tokensToProcess.length / BATCH_SIZE);
+  
   // Process tokens in batches
   for (let i = 0; i < tokensToProcess.length; i += BATCH_SIZE) {
     const batch = tokensToProcess.slice(i, i + BATCH_SIZE);
-    console.log(`\n📍 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${Math.ceil(tokensToProcess.length / BATCH_SIZE)} (${batch.length} tokens)`);
+    console.log(`\n📍 Processing batch ${Math.floor(i / BATCH_SIZE) + 1}/${batches} (${batch.length} tokens)`);
     
     const batchResults = await processBatch(batch);
     enrichedTokens.push(...batchResults);
     
-    // Early exit if we have enough tokens meeting criteria
-    const validTokens = enrichedTokens.filter(token => 
-      token.marketCap >= MIN_MARKET_CAP && 
-      token.mintable === false && 
-      token.freezable === false
+    if (onProgress) {
+      await onProgress({ stage: 'enrich', batch: Math.floor(i / BATCH_SIZE) + 1, batches, processed: enrichedTokens.length });
+    }
+    
+    // Early exit once every list has enough tokens meeting its criteria
+    const successfulTokens = enrichedTokens.filter(token => token.success);
+    const listsFull = Object.values(LIST_PROFILES.lists).every(rules =>
+      successfulTokens.filter(token => matchesFilter(token, rules.filter)).length >= rules.limit
     );
     
-    if (validTokens.length >= MAX_TOKENS) {
-      console.log(`🎯 Found ${validTokens.length} valid tokens, stopping early`);
+    if (listsFull && i + BATCH_SIZE < tokensToProcess.length) {
+      console.log(`🎯 Every list has reached its limit after ${enrichedTokens.length} tokens, stopping early`);
       break;
     }
   }
@@ -754,9 +1335,11 @@ async function processBatch(tokens) {
   
   try {
     // Fetch all data in parallel for the batch
-    const [batchMetadata, batchSupply] = await Promise.all([
-      fetchTokenMetadataBatch(tokenAddresses),
-      fetchTokenSupplyBatch(tokenAddresses)
+    // Helius metadata only adds names and symbols, so it is skipped without a key
+    const [batchMetadata, mintAccounts, dexPairs] = await Promise.all([
+      process.env.HELIUS_API_KEY ? fetchTokenMetadataBatch(tokenAddresses) : [],
+      fetchMintAccountsBatch(tokenAddresses),
+      fetchDexScreenerPairsBatch(tokenAddresses)
     ]);
     
     // Create lookup maps for quick access
@@ -765,18 +1348,35 @@ async function processBatch(tokens) {
       if (meta) metadataMap.set(tokenAddresses[index], meta);
     });
     
-    const supplyMap = new Map();
-    batchSupply.forEach((supply, index) => {
-      if (supply) supplyMap.set(tokenAddresses[index], supply);
+    const mintAccountMap = new Map();
+    mintAccounts.forEach((mintAccount, index) => {
+      if (mintAccount) mintAccountMap.set(tokenAddresses[index], mintAccount);
     });
     
     // Process each token in the batch
     const batchResults = [];
     for (const token of tokens) {
-      const enrichedToken = await enrichTokenWithData(token, metadataMap.get(token.tokenAddress), supplyMap.get(token.tokenAddress));
+      const enrichedToken = await enrichTokenWithData(token, metadataMap.get(token.tokenAddress), mintAccountMap.get(token.tokenAddress), dexPairs.get(token.tokenAddress));
       batchResults.push(enrichedToken);
     }
     
+    // Holder concentration costs up to three RPC calls per mint, so it is only looked up for
+    // traded tokens that pass everything else in at least one list, within the per-run budget
+    const holderCandidates = batchResults
+      .filter(token => token.hasDexData && Number(mintAccountMap.get(token.tokenAddress)?.supply) > 0 && matchesAnyList(token, HOLDER_FIELDS))
+      .map(token => ({
+        tokenAddress: token.tokenAddress,
+        supply: mintAccountMap.get(token.tokenAddress).supply,
+        pairAddress: dexPairs.get(token.tokenAddress).pairAddress
+      }));
+    const holdersMap = await getHolderConcentrationBatch(holderCandidates, MAX_HOLDER_LOOKUPS_PER_RUN - rpcCallStats.holderLookups);
+    
+    batchResults.forEach(token => {
+      if (!holdersMap.has(token.tokenAddress)) return;
+      Object.assign(token, holderFields(holdersMap.get(token.tokenAddress)));
+      token.filtered = !matchesAnyList(token);
+    });
+    
     return batchResults;
     
   } catch (error) {
@@ -793,26 +1393,26 @@ async function processBatch(tokens) {
       enrichedAt: new Date().toISOString(),
       success: false,
       hasDexData: false,
-      error: error.message
+      error: error.message,
+      filtered: true
     }));
   }
 }
 
 // Enrich a single token using pre-fetched data
-async function enrichTokenWithData(token, metadata, supply) {
+// dexData is the token's best pair from fetchDexScreenerPairsBatch (undefined when none was found)
+// Holder fields start out null; processBatch fills them in for list candidates
+async function enrichTokenWithData(token, metadata, mintAccount, dexData) {
   try {
-    // Fetch DexScreener data (this is still individual as it's search-based)
-    const dexData = await fetchDexScreenerTokenData(token.tokenAddress);
-    
     // Extract token info from DexScreener pair data
     let name = 'Unknown';
     let ticker = 'N/A';
     let price = 0;
     let marketCap = 0;
+    const isBaseToken = dexData?.baseToken?.address === token.tokenAddress;
     
     if (dexData) {
       // Check if our token is the base or quote token
-      const isBaseToken = dexData.baseToken?.address === token.tokenAddress;
       const tokenInfo = isBaseToken ? dexData.baseToken : dexData.quoteToken;
       
       if (tokenInfo) {
@@ -820,9 +1420,11 @@ async function enrichTokenWithData(token, metadata, supply) {
         ticker = tokenInfo.symbol || 'N/A';
       }
       
-      // Get price and market cap directly from DexScreener
-      price = num(dexData.priceUsd);
-      marketCap = num(dexData.marketCap);
+      // Quote-side price and market cap belong to the other token, only trust them for base tokens
+      if (isBaseToken) {
+        price = num(dexData.priceUsd);
+        marketCap = num(dexData.marketCap);
+      }
     }
     
     // Use Helius metadata if available
@@ -831,39 +1433,12 @@ async function enrichTokenWithData(token, metadata, supply) {
       ticker = metadata.symbol || ticker;
     }
     
-    // Get total supply from Helius
-    const totalSupply = supply?.amount ? 
-      parseInt(supply.amount) / Math.pow(10, supply.decimals || 9) : 0;
-    
-    // Extract mintable/freezable status from metadata
-    const mintable = metadata?.mintable || false;
-    const freezable = metadata?.freezable || false;
-    
-    // Early filtering - skip if doesn't meet criteria
-    if (marketCap < MIN_MARKET_CAP || mintable || freezable) {
-      return {
-        ...token,
-        name: name,
-        ticker: ticker,
-        price: num(price),
-        totalSupply: num(totalSupply),
-        decimals: supply?.decimals || 9,
-        mintable: mintable,
-        freezable: freezable,
-        marketCap: num(marketCap),
-        enrichedAt: new Date().toISOString(),
-        success: !!(dexData || supply),
-        hasDexData: !!dexData,
-        filtered: true // Mark as filtered out
-      };
-    }
-    
     const enrichedToken = {
       // Original DexScreener data
       tokenAddress: token.tokenAddress,
       url: token.url,
-      icon: token.icon,
-      description: token.description,
+      icon: token.icon || metadata?.offChain?.image,
+      description: token.description || metadata?.offChain?.description,
       links: token.links,
       
       // DexScreener enriched data
@@ -871,23 +1446,39 @@ async function enrichTokenWithData(token, metadata, supply) {
       ticker: ticker,
       price: num(price),
       
-      // Helius data
-      totalSupply: num(totalSupply),
-      decimals: supply?.decimals || 9,
-      mintable: mintable,
-      freezable: freezable,
+      // Mint account data
+      totalSupply: num(mintTotalSupply(mintAccount)),
+      decimals: mintAccount?.decimals ?? 9,
+      ...mintAuthorityFields(mintAccount, metadata),
+      ...extensionRiskFields(mintAccount),
+      ...metadataFields(metadata),
+      ...holderFields(null),
       
       // Calculated data
       marketCap: num(marketCap),
+      pairCreatedAt: dexData?.pairCreatedAt || null,
+      
+      // DexScreener pair stats, available to list rules
+      liquidityUsd: num(dexData?.liquidity?.usd),
+      fdv: isBaseToken ? num(dexData.fdv) : 0,
+      volume1h: num(dexData?.volume?.h1),
+      volume24h: num(dexData?.volume?.h24),
+      priceChange1h: isBaseToken ? num(dexData.priceChange?.h1) : 0,
+      priceChange24h: isBaseToken ? num(dexData.priceChange?.h24) : 0,
+      txns24h: num(dexData?.txns?.h24?.buys) + num(dexData?.txns?.h24?.sells),
       
       // Processing info
       enrichedAt: new Date().toISOString(),
-      success: !!(dexData || supply),
-      hasDexData: !!dexData,
-      filtered: false
+      success: !!(dexData || mintAccount),
+      hasDexData: !!dexData
     };
     
-    console.log(`✅ Enriched: ${enrichedToken.name} (${enrichedToken.ticker}) - MC: $${enrichedToken.marketCap.toLocaleString()}`);
+    // Early filtering - tokens that don't make any list are kept but marked
+    enrichedToken.filtered = !matchesAnyList(enrichedToken);
+    
+    if (!enrichedToken.filtered) {
+      console.log(`✅ Enriched: ${enrichedToken.name} (${enrichedToken.ticker}) - MC: $${enrichedToken.marketCap.toLocaleString()}`);
+    }
     
     return enrichedToken;
     
@@ -933,7 +1524,7 @@ async function fetchAndCacheSolanaTokens() {
     
     if (solanaTokens.length === 0) {
       console.log('⚠️  No Solana tokens found in response');
-      return;
+      return { error: 'No Solana tokens found in response' };
     }
     
     // Ensure database connection
@@ -983,10 +1574,73 @@ async function fetchAndCacheSolanaTokens() {
   }
 }
 
+// Take a lock shared through the database; returns the owner token, or null while another process holds it.
+// An expired lock (its holder crashed) is taken over.
+async function acquireJobLock(name, ttlSeconds) {
+  await ensureDB();
+  const owner = `${process.pid}:${crypto.randomUUID()}`;
+  const now = Math.floor(Date.now() / 1000);
+  
+  const result = await dbRun(
+    `INSERT INTO job_locks (name, owner, expires_at) VALUES (?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET owner = excluded.owner, expires_at = excluded.expires_at
+     WHERE job_locks.expires_at <= ?`,
+    [name, owner, now + ttlSeconds, now]
+  );
+  return result.changes > 0 ? owner : null;
+}
+
+async function releaseJobLock(name, owner) {
+  try {
+    await dbRun('DELETE FROM job_locks WHERE name = ? AND owner = ?', [name, owner]);
+  } catch (error) {
+    console.error(`❌ Error releasing the ${name} lock:`, error.message);
+  }
+}
+
 // Fetch, enrich and cache tokens in one step
-async function fetchEnrichAndCache(maxTokens = null) {
+// Returns a run summary, or { error } when nothing was enriched ({ error, locked: true } when another
+// process is already enriching). Only one run at a time across the timer job and the server.
+// options.onProgress (optional) receives { stage: 'fetch' | 'enrich' | 'publish', ... } updates.
+async function fetchEnrichAndCache(maxTokens = null, options = {}) {
+  let lockOwner;
+  
+  try {
+    lockOwner = await acquireJobLock('enrich', ENRICH_LOCK_TTL);
+  } catch (error) {
+    enrichmentRuns.inc({ result: 'failure' });
+    console.error('❌ Error taking the enrichment lock:', error.message);
+    return { error: error.message };
+  }
+  
+  if (!lockOwner) {
+    console.log('⏳ Another enrichment run is in progress, skipping this one');
+    return { error: 'Another refresh is already running', locked: true };
+  }
+  
+  const metricsBefore = metrics.snapshotMetrics();
+  
+  try {
+    return await runEnrichment(maxTokens, options);
+  } finally {
+    await releaseJobLock('enrich', lockOwner);
+    await persistRunMetrics(metricsBefore);
+  }
+}
+
+// The enrichment run itself, called with the lock held
+async function runEnrichment(maxTokens, { onProgress } = {}) {
+  const runStart = process.hrtime.bigint();
+  const progress = async (update) => {
+    if (onProgress) await onProgress(update);
+  };
+  
+  resetDexCallStats();
+  resetRpcCallStats();
+  
   try {
     console.log('🚀 Starting fetch, enrich and cache process...');
+    await progress({ stage: 'fetch' });
     
     // Use ETag-based fetching
     console.log('🔍 Fetching token profiles from DexScreener...');
@@ -1006,7 +1660,7 @@ async function fetchEnrichAndCache(maxTokens = null) {
     
     if (solanaTokens.length === 0) {
       console.log('⚠️  No Solana tokens found in response');
-      return;
+      return { error: 'No Solana tokens in the DexScreener response' };
     }
     
     // Ensure database connection
@@ -1030,70 +1684,152 @@ async function fetchEnrichAndCache(maxTokens = null) {
     
     console.log(`✅ Cached ${solanaTokens.length} basic Solana tokens to SQLite`);
     
-    // Enrich tokens with DexScreener and Helius data
-    if (process.env.HELIUS_API_KEY) {
-      console.log('\n🔬 Starting optimized enrichment with DexScreener + Helius APIs...');
-      const enrichedTokens = await enrichTokensBatchOptimized(basicCacheData.tokens, maxTokens);
-      
-      // Prepare enriched cache data
-      const enrichedData = {
-        timestamp: new Date().toISOString(),
-        originalTimestamp: basicCacheData.timestamp,
-        count: enrichedTokens.length,
-        successCount: enrichedTokens.filter(t => t.success).length,
-        tokens: enrichedTokens
-      };
-      
-      // Filter tokens that meet all criteria and sort by market cap
-      const filteredTokens = enrichedTokens
-        .filter(token => !token.filtered) // Only include tokens that passed early filtering
-        .sort((a, b) => b.marketCap - a.marketCap) // Sort by market cap descending
-        .slice(0, MAX_TOKENS); // Take only top 50 tokens
-      
-      // Cache filtered tokens to SQLite
-      const filteredData = {
+    // Enrich tokens with DexScreener, mint account (RPC) and optional Helius metadata
+    const newTokens = await getNewTokens(maxTokens ? basicCacheData.tokens.slice(0, maxTokens) : basicCacheData.tokens);
+    
+    console.log('\n🔬 Starting optimized enrichment with DexScreener + Solana RPC...');
+    const enrichedTokens = await enrichTokensBatchOptimized(basicCacheData.tokens, maxTokens, onProgress);
+    await progress({ stage: 'publish', processed: enrichedTokens.length });
+    
+    // Prepare enriched cache data
+    const enrichedData = {
+      timestamp: new Date().toISOString(),
+      originalTimestamp: basicCacheData.timestamp,
+      count: enrichedTokens.length,
+      successCount: enrichedTokens.filter(t => t.success).length,
+      tokens: enrichedTokens
+    };
+    
+    // Every named list is cut from the same enrichment pass; truncated when the pass stopped
+    // before the end of the profiles (every list full, or a maxTokens cap)
+    const truncated = enrichedTokens.length < basicCacheData.tokens.length;
+    const successfulTokens = enrichedTokens.filter(token => token.success);
+    const lists = Object.entries(LIST_PROFILES.lists).map(([name, rules]) => ({
+      name,
+      rules,
+      tokens: applyListRules(successfulTokens, rules)
+    }));
+    const filteredTokens = lists.find(list => list.name === LIST_PROFILES.default).tokens;
+    
+    // Previous run's top list and the last known authorities, for webhook events (null when expired)
+    const [previousTop, previousAuthorities] = await Promise.all([
+      dbGet('enriched_tokens', 'solana:tokens:enriched'),
+      dbGet('enriched_tokens', 'solana:tokens:authorities')
+    ]);
+    
+    // Cache each list to SQLite, with the rules that produced it
+    const filteredAt = new Date().toISOString();
+    for (const list of lists) {
+      await dbSet('enriched_tokens', listCacheKey(list.name), {
         ...enrichedData,
-        tokens: filteredTokens,
-        totalTokens: filteredTokens.length,
-        maxTokens: MAX_TOKENS,
-        minMarketCap: MIN_MARKET_CAP,
-        filteredAt: new Date().toISOString()
-      };
-      
-      await dbSet('enriched_tokens', 'solana:tokens:enriched', filteredData, ENRICHED_CACHE_EXPIRY);
-      
-      // Clean up expired records
-      await cleanupExpiredRecords();
-      
-      const processedCount = enrichedTokens.length;
-      const validCount = enrichedTokens.filter(t => !t.filtered).length;
-      const successCount = enrichedTokens.filter(t => t.success).length;
-      
-      console.log(`\n✅ Enriched and cached ${processedCount} tokens`);
-      console.log(`📈 Success rate: ${successCount}/${processedCount} (${Math.round(successCount/processedCount*100)}%)`);
-      console.log(`🎯 Valid tokens: ${validCount}/${processedCount} (MC >= $${MIN_MARKET_CAP.toLocaleString()}, not mintable, not freezable)`);
-      console.log(`🏆 Final result: ${filteredTokens.length} tokens (max ${MAX_TOKENS})`);
-      
-      // Show sample filtered tokens
-      const sampleTokens = filteredTokens
-        .filter(t => t.success)
-        .slice(0, 5);
-      
-      if (sampleTokens.length > 0) {
-        console.log(`\n🏆 Sample filtered tokens (MC >= $${MIN_MARKET_CAP.toLocaleString()}, top ${MAX_TOKENS}):`);
-        sampleTokens.forEach((token, index) => {
-          console.log(`${index + 1}. ${token.name} (${token.ticker})`);
-          console.log(`   Price: $${token.price} | MC: $${token.marketCap.toLocaleString()} | Supply: ${token.totalSupply.toLocaleString()}`);
-          console.log(`   Mintable: ${token.mintable ? 'Yes' : 'No'} | Freezable: ${token.freezable ? 'Yes' : 'No'}`);
-        });
-      } else {
-        console.log(`\n⚠️  No tokens found with MC >= $${MIN_MARKET_CAP.toLocaleString()}`);
-      }
+        tokens: list.tokens,
+        totalTokens: list.tokens.length,
+        list: list.name,
+        rules: list.rules,
+        truncated,
+        filteredAt
+      }, ENRICHED_CACHE_EXPIRY);
+    }
+    
+    // Keep watched/alerted tokens fresh even when they aren't in the latest profiles
+    const trackedTokens = await enrichAndCacheTrackedTokens(enrichedTokens, basicCacheData.tokens);
+    
+    // Alerts are evaluated right after the enriched cache is written
+    await evaluateAlerts([...enrichedTokens, ...trackedTokens]);
+    
+    // Push newly listed tokens to subscribed chats, then remember them
+    let enrichedNewTokens = [];
+    if (newTokens.length > 0) {
+      const enrichedMap = new Map(enrichedTokens.map(t => [t.tokenAddress, t]));
+      enrichedNewTokens = await enrichMissingTokens(newTokens, enrichedMap);
+      await publishNewTokens(enrichedNewTokens);
+      await markTokensSeen(newTokens);
+    }
+    
+    // Queue webhook deliveries for partner endpoints
+    const currentTokens = [...enrichedTokens, ...trackedTokens];
+    await queueWebhookEvents(buildTokenEvents({
+      previousTop: previousTop?.tokens || null,
+      currentTop: filteredTokens,
+      previousAuthorities: previousAuthorities?.states || null,
+      currentTokens,
+      newTokens: enrichedNewTokens
+    }));
+    await dbSet('enriched_tokens', 'solana:tokens:authorities', {
+      timestamp: new Date().toISOString(),
+      states: updateAuthorityStates(previousAuthorities?.states, currentTokens, AUTHORITY_STATE_RETENTION)
+    }, AUTHORITY_STATE_RETENTION);
+    
+    // Clean up expired records
+    await cleanupExpiredRecords();
+    
+    const processedCount = enrichedTokens.length;
+    const validCount = enrichedTokens.filter(t => !t.filtered).length;
+    const successCount = enrichedTokens.filter(t => t.success).length;
+    
+    enrichmentRuns.inc({ result: 'success' });
+    enrichmentDuration.observe({}, Number(process.hrtime.bigint() - runStart) / 1e9);
+    enrichmentLastSuccess.set({}, Math.floor(Date.now() / 1000));
+    enrichedTokens.forEach(t => enrichmentTokens.inc({ result: !t.success ? 'failed' : t.filtered ? 'filtered' : 'valid' }));
+    
+    console.log(`\n✅ Enriched and cached ${processedCount} tokens`);
+    console.log(`📈 Success rate: ${successCount}/${processedCount} (${Math.round(successCount/processedCount*100)}%)`);
+    console.log(`🎯 Valid tokens: ${validCount}/${processedCount} (in at least one list)`);
+    lists.forEach(list => {
+      console.log(`📋 ${list.name}${list.name === LIST_PROFILES.default ? ' (default)' : ''}: ${list.tokens.length} tokens (max ${list.rules.limit})`);
+    });
+    
+    // One search call per token before the multi-address endpoint
+    const dexCalls = dexCallStats.batchCalls + dexCallStats.searchCalls;
+    const dexscreener = {
+      tokens: dexCallStats.tokens,
+      calls: dexCalls,
+      batchCalls: dexCallStats.batchCalls,
+      searchFallbacks: dexCallStats.searchCalls,
+      callsSaved: Math.max(0, dexCallStats.tokens - dexCalls)
+    };
+    console.log(`🔗 DexScreener: ${dexscreener.calls} calls for ${dexscreener.tokens} tokens (${dexscreener.batchCalls} batch, ${dexscreener.searchFallbacks} search fallbacks), ${dexscreener.callsSaved} calls saved vs per-token search`);
+    
+    const rpc = {
+      calls: rpcCallStats.calls,
+      methods: rpcCallStats.methods,
+      holderLookups: rpcCallStats.holderLookups,
+      holderCacheHits: rpcCallStats.holderCacheHits,
+      holdersSkipped: rpcCallStats.holdersSkipped
+    };
+    console.log(`🛰️  Solana RPC: ${rpc.calls} calls (${Object.entries(rpc.methods).map(([method, count]) => `${count} ${method}`).join(', ') || 'none'}); holders: ${rpc.holderLookups} looked up, ${rpc.holderCacheHits} cached, ${rpc.holdersSkipped} over the per-run budget of ${MAX_HOLDER_LOOKUPS_PER_RUN}`);
+    
+    // Show sample filtered tokens
+    const sampleTokens = filteredTokens
+      .filter(t => t.success)
+      .slice(0, 5);
+    
+    if (sampleTokens.length > 0) {
+      console.log(`\n🏆 Sample filtered tokens (${describeListRules(LIST_PROFILES.lists[LIST_PROFILES.default])}):`);
+      sampleTokens.forEach((token, index) => {
+        console.log(`${index + 1}. ${token.name} (${token.ticker})`);
+        console.log(`   Price: $${token.price} | MC: $${token.marketCap.toLocaleString()} | Supply: ${token.totalSupply.toLocaleString()}`);
+        console.log(`   Mintable: ${token.mintable ? 'Yes' : 'No'} | Freezable: ${token.freezable ? 'Yes' : 'No'}`);
+      });
     } else {
-      console.log('⚠️  HELIUS_API_KEY not found, skipping enrichment');
+      console.log(`\n⚠️  No tokens matched the default list (${describeListRules(LIST_PROFILES.lists[LIST_PROFILES.default])})`);
     }
     
+    return {
+      basicCount: solanaTokens.length,
+      processedCount,
+      successCount,
+      validCount,
+      finalCount: filteredTokens.length,
+      lists: Object.fromEntries(lists.map(list => [list.name, list.tokens.length])),
+      truncated,
+      dexscreener,
+      rpc,
+      durationSeconds: Math.round(Number(process.hrtime.bigint() - runStart) / 1e9)
+    };
+    
   } catch (error) {
+    enrichmentRuns.inc({ result: 'failure' });
     console.error('❌ Error during fetch/enrich/cache:', error.message);
     
     if (error.code === 'ENOENT') {
@@ -1103,9 +1839,506 @@ async function fetchEnrichAndCache(maxTokens = null) {
     if (error.response) {
       console.error(`🌐 API Error: ${error.response.status} - ${error.response.statusText}`);
     }
+    
+    return { error: error.message };
+  }
+}
+
+// =============================================================================
+// WATCHLISTS
+// =============================================================================
+
+// Returns 'added', 'exists' or 'limit'
+async function addToWatchlist(userId, token) {
+  await ensureDB();
+  
+  const existing = await dbAll('SELECT token_address FROM watchlists WHERE user_id = ?', [userId]);
+  if (existing.some(row => row.token_address === token.tokenAddress)) {
+    return 'exists';
+  }
+  if (existing.length >= MAX_WATCHLIST_TOKENS) {
+    return 'limit';
+  }
+  
+  await dbRun(
+    `INSERT OR IGNORE INTO watchlists (user_id, token_address, name, ticker, added_price, added_market_cap)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [userId, token.tokenAddress, token.name, token.ticker, num(token.price), num(token.marketCap)]
+  );
+  
+  return 'added';
+}
+
+async function removeFromWatchlist(userId, mint) {
+  await ensureDB();
+  const result = await dbRun('DELETE FROM watchlists WHERE user_id = ? AND token_address = ?', [userId, mint]);
+  return result.changes > 0;
+}
+
+async function getWatchlist(userId) {
+  await ensureDB();
+  return dbAll('SELECT * FROM watchlists WHERE user_id = ? ORDER BY created_at ASC', [userId]);
+}
+
+// Mints that need fresh data every run: watchlists and alerts
+async function getTrackedMints() {
+  await ensureDB();
+  const rows = await dbAll(
+    'SELECT token_address FROM watchlists UNION SELECT token_address FROM alerts'
+  );
+  return rows.map(row => row.token_address);
+}
+
+// Enrich tracked mints (reusing records from the main run) and cache them regardless of filters
+async function enrichAndCacheTrackedTokens(enrichedTokens, basicTokens) {
+  const trackedMints = await getTrackedMints();
+  if (trackedMints.length === 0) return [];
+  
+  const enrichedMap = new Map(enrichedTokens.map(t => [t.tokenAddress, t]));
+  const basicMap = new Map(basicTokens.map(t => [t.tokenAddress, t]));
+  
+  // Tracked tokens not covered by this run's DexScreener profiles still get enriched
+  console.log(`\n👀 Refreshing ${trackedMints.length} tracked tokens...`);
+  const trackedTokens = await enrichMissingTokens(
+    trackedMints.map(mint => basicMap.get(mint) || {
+      tokenAddress: mint,
+      url: `https://dexscreener.com/solana/${mint}`,
+      links: []
+    }),
+    enrichedMap
+  );
+  
+  await dbSet('enriched_tokens', 'solana:tokens:tracked', {
+    timestamp: new Date().toISOString(),
+    count: trackedTokens.length,
+    tokens: trackedTokens
+  }, ENRICHED_CACHE_EXPIRY);
+  
+  console.log(`✅ Cached ${trackedTokens.length} tracked tokens`);
+  return trackedTokens;
+}
+
+// Enrich tokens the main pass didn't reach (early exit, not in latest profiles)
+async function enrichMissingTokens(tokens, enrichedMap) {
+  const missing = tokens.filter(t => !enrichedMap.has(t.tokenAddress));
+  
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batchResults = await processBatch(missing.slice(i, i + BATCH_SIZE));
+    batchResults.forEach(t => enrichedMap.set(t.tokenAddress, t));
+  }
+  
+  return tokens
+    .map(t => enrichedMap.get(t.tokenAddress))
+    .filter(Boolean);
+}
+
+// Latest enriched data for watched / alerted tokens
+async function getTrackedTokens() {
+  try {
+    await ensureDB();
+    return await dbGet('enriched_tokens', 'solana:tokens:tracked');
+  } catch (error) {
+    console.error('❌ Error retrieving tracked tokens:', error.message);
+    return null;
+  }
+}
+
+// =============================================================================
+// ALERTS & NOTIFICATIONS
+// =============================================================================
+
+// Returns the new alert id, or null when the user is at the limit
+async function addAlert(userId, token, condition) {
+  await ensureDB();
+  
+  const existing = await dbAll('SELECT COUNT(*) AS count FROM alerts WHERE user_id = ?', [userId]);
+  if (existing[0].count >= MAX_ALERTS_PER_USER) {
+    return null;
+  }
+  
+  const result = await dbRun(
+    `INSERT INTO alerts (user_id, token_address, name, ticker, metric, operator, threshold)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [userId, token.tokenAddress, token.name, token.ticker, condition.metric, condition.operator, condition.threshold]
+  );
+  
+  return result.lastID;
+}
+
+async function removeAlert(userId, alertId) {
+  await ensureDB();
+  const result = await dbRun('DELETE FROM alerts WHERE user_id = ? AND id = ?', [userId, alertId]);
+  return result.changes > 0;
+}
+
+async function getAlerts(userId) {
+  await ensureDB();
+  return dbAll('SELECT * FROM alerts WHERE user_id = ? ORDER BY id ASC', [userId]);
+}
+
+// Evaluate every alert against fresh token data; notify once, re-arm after the condition resets
+async function evaluateAlerts(tokens) {
+  await ensureDB();
+  const alerts = await dbAll('SELECT * FROM alerts');
+  if (alerts.length === 0) return;
+  
+  const tokenMap = new Map(tokens.map(t => [t.tokenAddress, t]));
+  let triggeredCount = 0;
+  let rearmedCount = 0;
+  
+  for (const alert of alerts) {
+    const token = tokenMap.get(alert.token_address);
+    
+    // Without market data we can't tell either way, keep the current state
+    if (!token || !token.hasDexData) continue;
+    
+    if (!alert.triggered && isConditionMet(alert, token)) {
+      const text =
+        `🔔 <b>Alert: ${escapeHtml(token.name)}</b> ($${escapeHtml(token.ticker)})\n\n` +
+        `Condition met: ${escapeHtml(describeCondition(alert))}\n` +
+        `💵 Price: ${formatPrice(token.price)}\n` +
+        `📊 Market Cap: ${formatUsd(token.marketCap)}\n\n` +
+        `<code>${escapeHtml(token.tokenAddress)}</code>`;
+      
+      await queueNotification(alert.user_id, text);
+      await dbRun(
+        `UPDATE alerts SET triggered = 1, last_triggered_at = datetime('now') WHERE id = ?`,
+        [alert.id]
+      );
+      triggeredCount++;
+    } else if (alert.triggered && shouldRearm(alert, token)) {
+      await dbRun('UPDATE alerts SET triggered = 0 WHERE id = ?', [alert.id]);
+      rearmedCount++;
+    }
+  }
+  
+  console.log(`🔔 Evaluated ${alerts.length} alerts: ${triggeredCount} triggered, ${rearmedCount} re-armed`);
+}
+
+async function queueNotification(chatId, text) {
+  await ensureDB();
+  await dbRun('INSERT INTO notifications (chat_id, text) VALUES (?, ?)', [chatId, text]);
+}
+
+// Oldest undelivered notifications first
+async function getPendingNotifications(limit = 20) {
+  await ensureDB();
+  
+  // Drop notifications that sat in the outbox too long to still be useful
+  await dbRun(
+    `DELETE FROM notifications WHERE sent_at IS NULL AND created_at < datetime('now', ?)`,
+    [`-${NOTIFICATION_MAX_AGE} seconds`]
+  );
+  
+  return dbAll(
+    'SELECT * FROM notifications WHERE sent_at IS NULL ORDER BY id ASC LIMIT ?',
+    [limit]
+  );
+}
+
+async function markNotificationSent(id) {
+  await dbRun(`UPDATE notifications SET sent_at = datetime('now') WHERE id = ?`, [id]);
+}
+
+// Failed deliveries are retried until maxAttempts, then marked as sent with the error kept
+async function markNotificationFailed(id, errorMessage, maxAttempts = 5) {
+  await dbRun(
+    `UPDATE notifications
+     SET attempts = attempts + 1,
+         last_error = ?,
+         sent_at = CASE WHEN attempts + 1 >= ? THEN datetime('now') ELSE NULL END
+     WHERE id = ?`,
+    [errorMessage, maxAttempts, id]
+  );
+}
+
+// =============================================================================
+// NEW TOKEN FEED
+// =============================================================================
+
+// Latest profiles whose mints haven't been seen in earlier runs
+async function getNewTokens(tokens) {
+  await ensureDB();
+  
+  // Forget mints long gone from the latest profiles list
+  await dbRun(`DELETE FROM seen_tokens WHERE last_seen_at < datetime('now', ?)`, [`-${SEEN_TOKENS_RETENTION} seconds`]);
+  
+  const rows = await dbAll('SELECT token_address FROM seen_tokens');
+  
+  // First run only seeds the set, otherwise every listed token would be pushed as new
+  if (rows.length === 0) {
+    console.log(`🌱 Seeding seen tokens with ${tokens.length} mints`);
+    await markTokensSeen(tokens);
+    return [];
+  }
+  
+  const seen = new Set(rows.map(row => row.token_address));
+  
+  // Mints still listed stay remembered; new ones are marked once they have been pushed
+  await markTokensSeen(tokens.filter(t => seen.has(t.tokenAddress)));
+  
+  return tokens.filter(t => !seen.has(t.tokenAddress));
+}
+
+// Record mints as seen now; first_seen_at is kept for mints seen before
+async function markTokensSeen(tokens) {
+  for (const token of tokens) {
+    await dbRun(
+      `INSERT INTO seen_tokens (token_address) VALUES (?)
+       ON CONFLICT(token_address) DO UPDATE SET last_seen_at = CURRENT_TIMESTAMP`,
+      [token.tokenAddress]
+    );
+  }
+}
+
+// When each mint first showed up in the latest profiles: { mint: ISO timestamp }
+async function getFirstSeenTimes() {
+  await ensureDB();
+
+  const rows = await dbAll('SELECT token_address, first_seen_at FROM seen_tokens');
+  return Object.fromEntries(rows.map(row => [row.token_address, `${row.first_seen_at.replace(' ', 'T')}Z`]));
+}
+
+// Subscription filters: { safeOnly, minMarketCap }; safe also excludes risky Token-2022 extensions
+function matchesSubscriptionFilters(token, filters = {}) {
+  if (!token.hasDexData) return false;
+  if (filters.safeOnly && (token.mintable !== false || token.freezable !== false || token.hasExtensionRisk !== false)) return false;
+  if (filters.minMarketCap && token.marketCap < filters.minMarketCap) return false;
+  return true;
+}
+
+// Queue a push for each subscribed chat whose filters the new token passes
+async function publishNewTokens(newTokens) {
+  const subscriptions = await getSubscriptions('new');
+  let queuedCount = 0;
+  
+  for (const subscription of subscriptions) {
+    const matching = newTokens
+      .filter(token => matchesSubscriptionFilters(token, subscription.filters))
+      .slice(0, MAX_NEW_TOKEN_PUSHES);
+    
+    for (const token of matching) {
+      await queueNotification(subscription.chat_id, `🆕 <b>New token listed</b>\n\n${formatTokenCard(token)}`);
+      queuedCount++;
+    }
+  }
+  
+  console.log(`🆕 ${newTokens.length} new tokens, queued ${queuedCount} pushes for ${subscriptions.length} subscribed chats`);
+}
+
+async function addSubscription(chatId, topic, filters) {
+  await ensureDB();
+  await dbRun(
+    `INSERT INTO subscriptions (chat_id, topic, filters) VALUES (?, ?, ?)
+     ON CONFLICT(chat_id, topic) DO UPDATE SET filters = excluded.filters`,
+    [chatId, topic, JSON.stringify(filters)]
+  );
+}
+
+async function removeSubscription(chatId, topic) {
+  await ensureDB();
+  const result = await dbRun('DELETE FROM subscriptions WHERE chat_id = ? AND topic = ?', [chatId, topic]);
+  return result.changes > 0;
+}
+
+async function getSubscriptions(topic) {
+  await ensureDB();
+  const rows = await dbAll('SELECT * FROM subscriptions WHERE topic = ?', [topic]);
+  return rows.map(row => ({ ...row, filters: JSON.parse(row.filters || '{}') }));
+}
+
+async function getChatSubscription(chatId, topic) {
+  await ensureDB();
+  const rows = await dbAll('SELECT * FROM subscriptions WHERE chat_id = ? AND topic = ?', [chatId, topic]);
+  return rows[0] ? { ...rows[0], filters: JSON.parse(rows[0].filters || '{}') } : null;
+}
+
+// =============================================================================
+// API KEYS
+// =============================================================================
+
+const hashApiKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// Returns the plain key once; only its hash is kept
+async function createApiKey(name, rateLimit = DEFAULT_API_RATE_LIMIT) {
+  await ensureDB();
+  
+  const key = `stk_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await dbRun(
+    'INSERT INTO api_keys (name, key_hash, key_prefix, rate_limit) VALUES (?, ?, ?, ?)',
+    [name, hashApiKey(key), key.substring(0, 10), rateLimit]
+  );
+  
+  return { id: result.lastID, name, key, rateLimit };
+}
+
+async function revokeApiKey(id) {
+  await ensureDB();
+  const result = await dbRun(
+    `UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL`,
+    [id]
+  );
+  return result.changes > 0;
+}
+
+async function listApiKeys() {
+  await ensureDB();
+  return dbAll(
+    `SELECT id, name, key_prefix, rate_limit, request_count, rejected_count, last_used_at, created_at, revoked_at
+     FROM api_keys ORDER BY id`
+  );
+}
+
+// Active key matching the plain key, or null
+async function findApiKey(key) {
+  await ensureDB();
+  const rows = await dbAll(
+    'SELECT id, name, rate_limit FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+    [hashApiKey(key)]
+  );
+  return rows[0] || null;
+}
+
+// Add usage counted in memory by the server since the last flush
+async function recordApiKeyUsage(id, requests, rejected) {
+  await ensureDB();
+  await dbRun(
+    `UPDATE api_keys
+     SET request_count = request_count + ?, rejected_count = rejected_count + ?, last_used_at = datetime('now')
+     WHERE id = ?`,
+    [requests, rejected, id]
+  );
+}
+
+// =============================================================================
+// OUTBOUND WEBHOOKS
+// =============================================================================
+
+// events: array of WEBHOOK_EVENTS, or ['*'] for all
+async function addWebhookEndpoint(url, events = ['*']) {
+  await ensureDB();
+  
+  const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+  const result = await dbRun(
+    'INSERT INTO webhook_endpoints (url, secret, events) VALUES (?, ?, ?)',
+    [url, secret, JSON.stringify(events)]
+  );
+  
+  return { id: result.lastID, url, secret, events };
+}
+
+// Removing an endpoint drops its pending deliveries too
+async function removeWebhookEndpoint(id) {
+  await ensureDB();
+  const result = await dbRun('DELETE FROM webhook_endpoints WHERE id = ?', [id]);
+  await dbRun(`DELETE FROM webhook_deliveries WHERE endpoint_id = ? AND status = 'pending'`, [id]);
+  return result.changes > 0;
+}
+
+async function listWebhookEndpoints() {
+  await ensureDB();
+  const rows = await dbAll('SELECT * FROM webhook_endpoints ORDER BY id');
+  return rows.map(row => ({ ...row, events: JSON.parse(row.events) }));
+}
+
+// One delivery per event and subscribed endpoint
+async function queueWebhookEvents(events) {
+  try {
+    await ensureDB();
+    
+    await dbRun(
+      `DELETE FROM webhook_deliveries WHERE status = 'delivered' AND delivered_at < datetime('now', ?)`,
+      [`-${WEBHOOK_DELIVERY_RETENTION} seconds`]
+    );
+    
+    if (events.length === 0) return;
+    
+    const endpoints = await listWebhookEndpoints();
+    let queuedCount = 0;
+    
+    for (const endpoint of endpoints) {
+      const subscribed = events.filter(e => endpoint.events.includes('*') || endpoint.events.includes(e.event));
+      
+      for (const { event, data } of subscribed) {
+        await dbRun(
+          'INSERT INTO webhook_deliveries (endpoint_id, event, payload) VALUES (?, ?, ?)',
+          [endpoint.id, event, JSON.stringify({ event, createdAt: new Date().toISOString(), data })]
+        );
+        queuedCount++;
+      }
+    }
+    
+    console.log(`🪝 ${events.length} token events, queued ${queuedCount} webhook deliveries for ${endpoints.length} endpoints`);
+  } catch (error) {
+    console.error('❌ Error queueing webhook events:', error.message);
   }
 }
 
+// Pending deliveries whose next attempt is due, with their endpoint
+async function getDueWebhookDeliveries(limit = 20) {
+  await ensureDB();
+  return dbAll(
+    `SELECT d.*, e.url, e.secret FROM webhook_deliveries d
+     JOIN webhook_endpoints e ON e.id = d.endpoint_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= datetime('now')
+     ORDER BY d.id LIMIT ?`,
+    [limit]
+  );
+}
+
+async function markWebhookDelivered(id, statusCode) {
+  await dbRun(
+    `UPDATE webhook_deliveries
+     SET status = 'delivered', attempts = attempts + 1, last_status = ?, last_error = NULL, delivered_at = datetime('now')
+     WHERE id = ?`,
+    [statusCode, id]
+  );
+}
+
+// Exponential backoff, dead-lettered after WEBHOOK_MAX_ATTEMPTS
+async function markWebhookFailed(delivery, error, statusCode) {
+  const attempts = delivery.attempts + 1;
+  const dead = attempts >= WEBHOOK_MAX_ATTEMPTS;
+  const delay = Math.min(WEBHOOK_RETRY_BASE * Math.pow(2, attempts - 1), WEBHOOK_RETRY_MAX);
+  
+  await dbRun(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = ?, last_status = ?, last_error = ?, next_attempt_at = datetime('now', ?)
+     WHERE id = ?`,
+    [dead ? 'dead' : 'pending', attempts, statusCode || null, String(error).substring(0, 500), `+${delay} seconds`, delivery.id]
+  );
+  
+  return { dead, delay };
+}
+
+async function listWebhookDeliveries(status = null, limit = 50) {
+  await ensureDB();
+  return dbAll(
+    `SELECT id, endpoint_id, event, status, attempts, next_attempt_at, last_status, last_error, created_at, delivered_at
+     FROM webhook_deliveries ${status ? 'WHERE status = ?' : ''}
+     ORDER BY id DESC LIMIT ?`,
+    status ? [status, limit] : [limit]
+  );
+}
+
+// Send a delivery again from scratch (dead-lettered or already delivered)
+async function replayWebhookDelivery(id) {
+  await ensureDB();
+  const result = await dbRun(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'), last_error = NULL, delivered_at = NULL
+     WHERE id = ?`,
+    [id]
+  );
+  return result.changes > 0;
+}
+
+async function deleteWebhookDelivery(id) {
+  await ensureDB();
+  const result = await dbRun('DELETE FROM webhook_deliveries WHERE id = ?', [id]);
+  return result.changes > 0;
+}
+
 // Function to retrieve cached tokens
 async function getCachedSolanaTokens() {
   try {
@@ -1130,14 +2363,20 @@ async function getCachedSolanaTokens() {
 }
 
 // Get enriched tokens from cache
-async function getEnrichedTokens() {
+// listName selects a named list, the default list when omitted
+async function getEnrichedTokens(listName = LIST_PROFILES.default) {
   try {
+    if (!Object.hasOwn(LIST_PROFILES.lists, listName)) {
+      console.log(`❌ Unknown list "${listName}"`);
+      return null;
+    }
+    
     await ensureDB();
     
-    const enrichedData = await dbGet('enriched_tokens', 'solana:tokens:enriched');
+    const enrichedData = await dbGet('enriched_tokens', listCacheKey(listName));
     
     if (!enrichedData) {
-      console.log('❌ No enriched data found');
+      console.log(`❌ No enriched data found for list "${listName}"`);
       return null;
     }
     
@@ -1153,6 +2392,149 @@ async function getEnrichedTokens() {
   }
 }
 
+// All cached token lists at once, without logging or lookup metrics (polled by the WebSocket stream)
+async function getCacheSnapshot() {
+  await ensureDB();
+
+  const [enriched, latest, tracked] = await Promise.all([
+    dbGet('enriched_tokens', 'solana:tokens:enriched', { countLookup: false }),
+    dbGet('basic_tokens', 'solana:tokens:latest', { countLookup: false }),
+    dbGet('enriched_tokens', 'solana:tokens:tracked', { countLookup: false })
+  ]);
+
+  return { enriched, latest, tracked };
+}
+
+// Search cached tokens by name, ticker or address (enriched first, then basic profiles)
+async function searchCachedTokens(query, limit = 50) {
+  try {
+    await ensureDB();
+    
+    const [enrichedData, trackedData, basicData] = await Promise.all([
+      dbGet('enriched_tokens', 'solana:tokens:enriched'),
+      dbGet('enriched_tokens', 'solana:tokens:tracked'),
+      dbGet('basic_tokens', 'solana:tokens:latest')
+    ]);
+    
+    // One entry per mint, enriched data wins over basic profiles
+    const candidates = new Map();
+    (basicData?.tokens || []).forEach(t => candidates.set(t.tokenAddress, { ...t, hasDexData: false }));
+    (trackedData?.tokens || []).forEach(t => candidates.set(t.tokenAddress, t));
+    (enrichedData?.tokens || []).forEach(t => candidates.set(t.tokenAddress, t));
+    
+    const q = (query || '').trim().toLowerCase().replace(/^\$/, '');
+    
+    if (!q) {
+      return {
+        timestamp: enrichedData?.timestamp,
+        tokens: (enrichedData?.tokens || []).slice(0, limit)
+      };
+    }
+    
+    // Lower score ranks first
+    const score = token => {
+      const name = (token.name || '').toLowerCase();
+      const ticker = (token.ticker || '').toLowerCase();
+      const description = (token.description || '').toLowerCase();
+      
+      if (token.tokenAddress.toLowerCase() === q) return 0;
+      if (ticker === q) return 1;
+      if (name === q) return 2;
+      if (ticker.startsWith(q) || name.startsWith(q)) return 3;
+      if (name.includes(q) || ticker.includes(q)) return 4;
+      if (token.tokenAddress.toLowerCase().startsWith(q)) return 5;
+      if (description.includes(q)) return 6;
+      return null;
+    };
+    
+    const tokens = [...candidates.values()]
+      .map(token => ({ token, score: score(token) }))
+      .filter(match => match.score !== null)
+      .sort((a, b) => a.score - b.score || num(b.token.marketCap) - num(a.token.marketCap))
+      .slice(0, limit)
+      .map(match => match.token);
+    
+    return { timestamp: enrichedData?.timestamp, tokens };
+    
+  } catch (error) {
+    console.error('❌ Error searching cached tokens:', error.message);
+    return { tokens: [] };
+  }
+}
+
+// =============================================================================
+// CACHE REPORTS
+// =============================================================================
+
+// Cache status lines, shared by the CLI `info` command and /admin info
+async function getCacheInfoReport() {
+  await ensureDB();
+  const basicTtl = await dbTTL('basic_tokens', 'solana:tokens:latest');
+  const basicExists = await dbExists('basic_tokens', 'solana:tokens:latest');
+  const enrichedTtl = await dbTTL('enriched_tokens', 'solana:tokens:enriched');
+  const enrichedExists = await dbExists('enriched_tokens', 'solana:tokens:enriched');
+  
+  const lines = [
+    `📊 Cache Status:`,
+    `   Basic Cache: ${basicExists ? '✅ Yes' : '❌ No'}`,
+    `   Basic TTL: ${basicTtl > 0 ? `${basicTtl} seconds` : 'No expiration'}`,
+    `   Enriched Cache: ${enrichedExists ? '✅ Yes' : '❌ No'}`,
+    `   Enriched TTL: ${enrichedTtl > 0 ? `${enrichedTtl} seconds` : 'No expiration'}`
+  ];
+  
+  if (basicExists) {
+    const data = await dbGet('basic_tokens', 'solana:tokens:latest');
+    lines.push(`   Basic Count: ${data.count} tokens`);
+    lines.push(`   Basic Cached: ${data.timestamp}`);
+  }
+  
+  if (enrichedExists) {
+    const enrichedData = await dbGet('enriched_tokens', 'solana:tokens:enriched');
+    lines.push(`   Enriched Count: ${enrichedData.count} tokens`);
+    lines.push(`   Enriched Success: ${enrichedData.successCount}/${enrichedData.count}`);
+    lines.push(`   Enriched Cached: ${enrichedData.timestamp}`);
+  }
+  
+  for (const [name, rules] of Object.entries(LIST_PROFILES.lists)) {
+    const listData = await dbGet('enriched_tokens', listCacheKey(name));
+    lines.push(`   List ${name}${name === LIST_PROFILES.default ? ' (default)' : ''}: ${listData ? `${listData.tokens.length} tokens` : '❌ Not cached'}`);
+    lines.push(`      ${describeListRules(listData?.rules || rules)}`);
+  }
+  
+  return lines;
+}
+
+// Enrichment statistics lines, shared by the CLI `stats` command and /admin stats
+async function getStatsReport() {
+  await ensureDB();
+  const enrichedData = await dbGet('enriched_tokens', 'solana:tokens:enriched');
+  
+  if (!enrichedData) {
+    return ['❌ No enriched data found'];
+  }
+  
+  const totalProcessed = enrichedData.count;
+  const validTokens = enrichedData.tokens.filter(t => !t.filtered);
+  const successTokens = enrichedData.tokens.filter(t => t.success);
+  
+  const lines = [
+    `📊 Optimization Statistics:`,
+    `   Total Processed: ${totalProcessed}`,
+    `   Successful: ${successTokens.length} (${Math.round(successTokens.length/totalProcessed*100)}%)`,
+    `   Valid (meets criteria): ${validTokens.length} (${Math.round(validTokens.length/totalProcessed*100)}%)`,
+    `   Final Result: ${enrichedData.tokens.length} tokens`,
+    `   Filtered Out: ${totalProcessed - validTokens.length} tokens`
+  ];
+  
+  if (validTokens.length > 0) {
+    const avgMarketCap = validTokens.reduce((sum, t) => sum + t.marketCap, 0) / validTokens.length;
+    lines.push(`   Average Market Cap: $${avgMarketCap.toLocaleString()}`);
+    lines.push(`   Highest Market Cap: $${Math.max(...validTokens.map(t => t.marketCap)).toLocaleString()}`);
+  }
+  
+  return lines;
+}
+
 // CLI interface
 async function main() {
   const command = process.argv[2];
@@ -1187,13 +2569,17 @@ async function main() {
       break;
       
     case 'list':
-      const data = await getEnrichedTokens();
+      const listName = (process.argv[3] || LIST_PROFILES.default).toLowerCase();
+      if (!Object.hasOwn(LIST_PROFILES.lists, listName)) {
+        console.log(`❌ Unknown list "${listName}". Lists: ${Object.keys(LIST_PROFILES.lists).join(', ')}`);
+        break;
+      }
+      
+      const data = await getEnrichedTokens(listName);
       if (data) {
-        const tokens = data.tokens
-          .filter(t => t.success)
-          .sort((a, b) => b.marketCap - a.marketCap); // Sort by market cap
+        const tokens = data.tokens.filter(t => t.success); // Already sorted by the list rules
         
-        console.log(`\n🏆 Top ${tokens.length} tokens by market cap (min $${MIN_MARKET_CAP.toLocaleString()}):`);
+        console.log(`\n🏆 Top ${tokens.length} tokens (${describeListRules(data.rules || LIST_PROFILES.lists[listName])}):`);
         tokens.forEach((token, index) => {
           console.log(`${index + 1}. ${token.name} (${token.ticker})`);
           console.log(`   Address: ${token.tokenAddress}`);
@@ -1207,7 +2593,6 @@ async function main() {
       
     case 'cleanup':
       try {
-        await ensureDB();
         await cleanupExpiredRecords();
         console.log('✅ Database cleanup completed');
       } catch (error) {
@@ -1217,65 +2602,120 @@ async function main() {
       
     case 'stats':
       try {
-        await ensureDB();
-        const enrichedData = await dbGet('enriched_tokens', 'solana:tokens:enriched');
+        console.log((await getStatsReport()).join('\n'));
+      } catch (error) {
+        console.error('❌ Error getting stats:', error.message);
+      }
+      break;
+      
+    case 'info':
+      try {
+        console.log((await getCacheInfoReport()).join('\n'));
+      } catch (error) {
+        console.error('❌ Error checking cache info:', error.message);
+      }
+      break;
+      
+    case 'apikey':
+      try {
+        const action = process.argv[3];
         
-        if (enrichedData) {
-          const totalProcessed = enrichedData.count;
-          const validTokens = enrichedData.tokens.filter(t => !t.filtered);
-          const successTokens = enrichedData.tokens.filter(t => t.success);
-          
-          console.log(`📊 Optimization Statistics:`);
-          console.log(`   Total Processed: ${totalProcessed}`);
-          console.log(`   Successful: ${successTokens.length} (${Math.round(successTokens.length/totalProcessed*100)}%)`);
-          console.log(`   Valid (meets criteria): ${validTokens.length} (${Math.round(validTokens.length/totalProcessed*100)}%)`);
-          console.log(`   Final Result: ${enrichedData.tokens.length} tokens`);
-          console.log(`   Filtered Out: ${totalProcessed - validTokens.length} tokens`);
+        if (action === 'create' && process.argv[4]) {
+          const rateLimit = process.argv[5] ? parseInt(process.argv[5]) : DEFAULT_API_RATE_LIMIT;
+          if (!Number.isInteger(rateLimit) || rateLimit <= 0) {
+            console.error('❌ Rate limit must be a positive number of requests per minute');
+            break;
+          }
           
-          if (validTokens.length > 0) {
-            const avgMarketCap = validTokens.reduce((sum, t) => sum + t.marketCap, 0) / validTokens.length;
-            console.log(`   Average Market Cap: $${avgMarketCap.toLocaleString()}`);
-            console.log(`   Highest Market Cap: $${Math.max(...validTokens.map(t => t.marketCap)).toLocaleString()}`);
+          const created = await createApiKey(process.argv[4], rateLimit);
+          console.log(`✅ Created API key #${created.id} "${created.name}" (${created.rateLimit} requests/min)`);
+          console.log(`🔑 ${created.key}`);
+          console.log('⚠️  Store this key now, it cannot be shown again');
+        } else if (action === 'revoke' && process.argv[4]) {
+          const revoked = await revokeApiKey(parseInt(process.argv[4]));
+          console.log(revoked ? `✅ Revoked API key #${process.argv[4]}` : `❌ No active API key #${process.argv[4]}`);
+        } else if (action === 'list') {
+          const keys = await listApiKeys();
+          if (keys.length === 0) {
+            console.log('No API keys yet');
           }
+          keys.forEach(k => {
+            console.log(`#${k.id} ${k.name} (${k.key_prefix}…) ${k.revoked_at ? '🚫 revoked' : '✅ active'}`);
+            console.log(`   Limit: ${k.rate_limit}/min | Requests: ${k.request_count} | Rejected: ${k.rejected_count}`);
+            console.log(`   Created: ${k.created_at} | Last used: ${k.last_used_at || 'never'}`);
+          });
         } else {
-          console.log('❌ No enriched data found');
+          console.log('Usage: node cache-solana-tokens.js apikey create <name> [requests_per_min] | revoke <id> | list');
         }
       } catch (error) {
-        console.error('❌ Error getting stats:', error.message);
+        console.error('❌ Error managing API keys:', error.message);
       }
       break;
       
-    case 'info':
+    case 'webhook':
       try {
-        await ensureDB();
-        const basicTtl = await dbTTL('basic_tokens', 'solana:tokens:latest');
-        const basicExists = await dbExists('basic_tokens', 'solana:tokens:latest');
-        const enrichedTtl = await dbTTL('enriched_tokens', 'solana:tokens:enriched');
-        const enrichedExists = await dbExists('enriched_tokens', 'solana:tokens:enriched');
-        
-        console.log(`📊 Cache Status:`);
-        console.log(`   Basic Cache: ${basicExists ? '✅ Yes' : '❌ No'}`);
-        console.log(`   Basic TTL: ${basicTtl > 0 ? `${basicTtl} seconds` : 'No expiration'}`);
-        console.log(`   Enriched Cache: ${enrichedExists ? '✅ Yes' : '❌ No'}`);
-        console.log(`   Enriched TTL: ${enrichedTtl > 0 ? `${enrichedTtl} seconds` : 'No expiration'}`);
-        
-        if (basicExists) {
-          const data = await dbGet('basic_tokens', 'solana:tokens:latest');
-          console.log(`   Basic Count: ${data.count} tokens`);
-          console.log(`   Basic Cached: ${data.timestamp}`);
-        }
+        const action = process.argv[3];
+        const arg = process.argv[4];
         
-        if (enrichedExists) {
-          const enrichedData = await dbGet('enriched_tokens', 'solana:tokens:enriched');
-          console.log(`   Enriched Count: ${enrichedData.count} tokens`);
-          console.log(`   Enriched Success: ${enrichedData.successCount}/${enrichedData.count}`);
-          console.log(`   Enriched Cached: ${enrichedData.timestamp}`);
-          console.log(`   Max Tokens: ${enrichedData.maxTokens || MAX_TOKENS}`);
-          console.log(`   Min Market Cap: $${enrichedData.minMarketCap?.toLocaleString() || MIN_MARKET_CAP.toLocaleString()}`);
+        if (action === 'add' && arg) {
+          let url;
+          try {
+            url = new URL(arg);
+          } catch (error) {
+            url = null;
+          }
+          if (!url || url.protocol !== 'https:') {
+            console.error('❌ Webhook URL must be a valid https:// URL');
+            break;
+          }
+          
+          const events = process.argv[5] ? process.argv[5].split(',') : ['*'];
+          const unknown = events.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+          if (unknown.length > 0) {
+            console.error(`❌ Unknown events: ${unknown.join(', ')} (available: ${WEBHOOK_EVENTS.join(', ')})`);
+            break;
+          }
+          
+          const endpoint = await addWebhookEndpoint(url.toString(), events);
+          console.log(`✅ Added webhook endpoint #${endpoint.id} ${endpoint.url} (${events.join(', ')})`);
+          console.log(`🔑 Signing secret: ${endpoint.secret}`);
+        } else if (action === 'remove' && arg) {
+          const removed = await removeWebhookEndpoint(parseInt(arg));
+          console.log(removed ? `✅ Removed webhook endpoint #${arg}` : `❌ No webhook endpoint #${arg}`);
+        } else if (action === 'endpoints') {
+          const endpoints = await listWebhookEndpoints();
+          if (endpoints.length === 0) {
+            console.log('No webhook endpoints yet');
+          }
+          endpoints.forEach(e => {
+            console.log(`#${e.id} ${e.url}`);
+            console.log(`   Events: ${e.events.join(', ')} | Secret: ${e.secret.substring(0, 12)}… | Created: ${e.created_at}`);
+          });
+        } else if (action === 'deliveries') {
+          const deliveries = await listWebhookDeliveries(arg || null);
+          if (deliveries.length === 0) {
+            console.log('No webhook deliveries');
+          }
+          deliveries.forEach(d => {
+            const icon = d.status === 'delivered' ? '✅' : d.status === 'dead' ? '💀' : '⏳';
+            console.log(`${icon} #${d.id} ${d.event} → endpoint #${d.endpoint_id} (${d.status}, ${d.attempts} attempts)`);
+            console.log(`   Created: ${d.created_at} | ${d.status === 'delivered' ? `Delivered: ${d.delivered_at}` : `Next attempt: ${d.next_attempt_at}`}`);
+            if (d.last_error) {
+              console.log(`   Last error: ${d.last_status ? `HTTP ${d.last_status} ` : ''}${d.last_error}`);
+            }
+          });
+        } else if (action === 'replay' && arg) {
+          const replayed = await replayWebhookDelivery(parseInt(arg));
+          console.log(replayed ? `✅ Delivery #${arg} queued again` : `❌ No webhook delivery #${arg}`);
+        } else if (action === 'delete' && arg) {
+          const deleted = await deleteWebhookDelivery(parseInt(arg));
+          console.log(deleted ? `✅ Deleted delivery #${arg}` : `❌ No webhook delivery #${arg}`);
+        } else {
+          console.log('Usage: node cache-solana-tokens.js webhook add <https-url> [event,event] | remove <id> | endpoints');
+          console.log('       node cache-solana-tokens.js webhook deliveries [pending|delivered|dead] | replay <id> | delete <id>');
         }
-        
       } catch (error) {
-        console.error('❌ Error checking cache info:', error.message);
+        console.error('❌ Error managing webhooks:', error.message);
       }
       break;
       
@@ -1289,23 +2729,40 @@ Usage:
   node cache-solana-tokens.js test          # Test mode: fetch and enrich first 3 tokens
   node cache-solana-tokens.js get           # Retrieve basic cached tokens
   node cache-solana-tokens.js enriched      # Retrieve enriched cached tokens as JSON
-  node cache-solana-tokens.js list          # List enriched tokens with names and tickers
+  node cache-solana-tokens.js list [name]   # List enriched tokens of a list (default: ${LIST_PROFILES.default})
   node cache-solana-tokens.js info          # Show cache status
   node cache-solana-tokens.js cleanup       # Remove expired records from database
   node cache-solana-tokens.js stats         # Show optimization statistics
+  node cache-solana-tokens.js apikey create <name> [rpm]  # Create an API key (default ${DEFAULT_API_RATE_LIMIT} requests/min)
+  node cache-solana-tokens.js apikey revoke <id>          # Revoke an API key
+  node cache-solana-tokens.js apikey list                 # List API keys with usage
+  node cache-solana-tokens.js webhook add <url> [events]  # Register a webhook endpoint (events comma-separated, default all)
+  node cache-solana-tokens.js webhook remove <id>         # Remove a webhook endpoint
+  node cache-solana-tokens.js webhook endpoints           # List webhook endpoints
+  node cache-solana-tokens.js webhook deliveries [status] # List recent deliveries (pending, delivered, dead)
+  node cache-solana-tokens.js webhook replay <id>         # Send a delivery again
+  node cache-solana-tokens.js webhook delete <id>         # Delete a delivery
 
 Environment Variables:
-  HELIUS_API_KEY=your_key     # Helius API key for enrichment
+  SOLANA_RPC_URL=https://... # Solana RPC for mint accounts (default: Helius with a key, else public mainnet)
+  HELIUS_API_KEY=your_key     # Optional Helius key: token names/symbols and the default RPC
+  LIST_RULES='{...}'          # Named lists as JSON ({ default, lists: { name: { filter, sort, limit } } })
+  LIST_RULES_FILE=rules.yaml  # Or a JSON / YAML file with the lists
 
 Cache Settings:
   Database: ${DB_PATH}
   Basic Expiry: ${CACHE_EXPIRY} seconds (${Math.floor(CACHE_EXPIRY/60)} minutes)
   Enriched Expiry: ${ENRICHED_CACHE_EXPIRY} seconds (${Math.floor(ENRICHED_CACHE_EXPIRY/60)} minutes)
-  Max Tokens: ${MAX_TOKENS} (top by market cap)
-  Min Market Cap: $${MIN_MARKET_CAP.toLocaleString()}
+  Lists (default ${LIST_PROFILES.default}):
+${Object.values(LIST_PROFILES.lists).map(rules => `    ${describeListRules(rules)}`).join('\n')}
       `);
       break;
   }
+  
+  // Pipeline runs hand their metrics to the server's /metrics (run metrics are already saved)
+  if (['fetch', 'enrich', 'test'].includes(command)) {
+    await persistJobMetrics(localMetricsSnapshot());
+  }
 }
 
 // Handle graceful shutdown
@@ -1327,14 +2784,58 @@ module.exports = {
   fetchEnrichAndCache,
   getCachedSolanaTokens,
   getEnrichedTokens,
+  getCacheSnapshot,
+  getFirstSeenTimes,
   cleanupExpiredRecords,
+  getCacheInfoReport,
+  getStatsReport,
   enrichTokensBatchOptimized,
+  processBatch,
+  closeDB,
+  getMarketDataWithLock,
+  getHeliusMetaCached,
+  fetchMintAccount,
+  getTokenDetails,
+  searchCachedTokens,
+  claimUpdateId,
+  addToWatchlist,
+  removeFromWatchlist,
+  getWatchlist,
+  getTrackedTokens,
+  addAlert,
+  removeAlert,
+  getAlerts,
+  addSubscription,
+  removeSubscription,
+  getChatSubscription,
+  getPendingNotifications,
+  markNotificationSent,
+  markNotificationFailed,
+  createApiKey,
+  revokeApiKey,
+  listApiKeys,
+  findApiKey,
+  recordApiKeyUsage,
+  getJobMetrics,
+  localMetricsSnapshot,
+  getCacheWriteTimes,
+  getStorageHealth,
+  addWebhookEndpoint,
+  removeWebhookEndpoint,
+  listWebhookEndpoints,
+  getDueWebhookDeliveries,
+  markWebhookDelivered,
+  markWebhookFailed,
+  listWebhookDeliveries,
+  replayWebhookDelivery,
+  deleteWebhookDelivery,
   CACHE_EXPIRY,
   ENRICHED_CACHE_EXPIRY,
   METADATA_CACHE_EXPIRY,
-  MAX_TOKENS,
-  MIN_MARKET_CAP,
-  BATCH_SIZE
+  LIST_PROFILES,
+  BATCH_SIZE,
+  MAX_WATCHLIST_TOKENS,
+  MAX_ALERTS_PER_USER
 };
 
 // Run if called directly
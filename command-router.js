@@ -0,0 +1,131 @@
+// Declarative command / callback routing helpers for the Telegram bot
+const { isValidMintAddress } = require('./mint-address');
+
+// Parse "/cmd@botname arg1 arg2" into its parts
+function parseCommand(text, botUsername) {
+  const match = /^\/([A-Za-z0-9_]{1,32})(?:@([A-Za-z0-9_]+))?(?:\s+([\s\S]*))?$/.exec((text || '').trim());
+  if (!match) return null;
+
+  const mention = match[2];
+  return {
+    name: match[1].toLowerCase(),
+    mention: mention || null,
+    forOtherBot: !!mention && !!botUsername && mention.toLowerCase() !== botUsername.toLowerCase(),
+    rawArgs: match[3] ? match[3].trim().split(/\s+/) : []
+  };
+}
+
+// "/alert <mint> <condition>" style usage string
+function formatUsage(command) {
+  const args = (command.args || []).map(arg => (arg.required ? `<${arg.name}>` : `[${arg.name}]`));
+  return [`/${command.name}`, ...args].join(' ');
+}
+
+// Validate raw arguments against the command's schema
+// Arg spec: { name, type: 'mint'|'int'|'word'|'enum'|'text', required, values, parse, hint }
+function parseArgs(command, rawArgs) {
+  const specs = command.args || [];
+  const args = {};
+
+  for (const [index, spec] of specs.entries()) {
+    // 'text' consumes the rest of the line
+    const raw = spec.type === 'text' ? rawArgs.slice(index) : rawArgs[index];
+    const missing = spec.type === 'text' ? raw.length === 0 : raw === undefined;
+
+    if (missing) {
+      if (spec.required) return { error: `Missing ${spec.name}.` };
+      continue;
+    }
+
+    let value = raw;
+    switch (spec.type) {
+      case 'mint':
+        if (!isValidMintAddress(raw)) return { error: `Invalid ${spec.name}: not a Solana mint address.` };
+        break;
+      case 'int':
+        value = parseInt(raw.replace(/^#/, ''), 10);
+        if (!Number.isInteger(value) || value <= 0) return { error: `Invalid ${spec.name}: expected a positive number.` };
+        break;
+      case 'enum':
+        value = raw.toLowerCase();
+        if (!spec.values.includes(value)) return { error: `Invalid ${spec.name}: expected ${spec.values.join(' or ')}.` };
+        break;
+      case 'text':
+        value = raw.join(' ');
+        break;
+    }
+
+    if (spec.parse) {
+      value = spec.parse(spec.type === 'text' ? raw : value);
+      if (value === null || value === undefined) {
+        return { error: `Invalid ${spec.name}${spec.hint ? `: expected ${spec.hint}` : ''}.` };
+      }
+    }
+
+    args[spec.name] = value;
+  }
+
+  if (rawArgs.length > specs.length && !specs.some(spec => spec.type === 'text')) {
+    return { error: 'Too many arguments.' };
+  }
+
+  return { args };
+}
+
+// Whether a command may run (and is listed) in the given context
+// Scopes: 'all' (default), 'private', 'group', 'admin' (ADMIN_IDS only)
+function isCommandAllowed(command, { chatType, isAdmin }) {
+  switch (command.scope || 'all') {
+    case 'private': return chatType === 'private';
+    case 'group': return chatType === 'group' || chatType === 'supergroup';
+    case 'admin': return isAdmin;
+    default: return true;
+  }
+}
+
+function buildHelpText(commands, context) {
+  const lines = commands
+    .filter(command => !command.hidden && isCommandAllowed(command, context))
+    .map(command => `${formatUsage(command)} - ${command.description}`);
+
+  return '📚 Available Commands:\n\n' +
+    lines.join('\n') +
+    '\n\n<…> required, […] optional';
+}
+
+// BotCommand list for setMyCommands in one scope
+function buildMenuCommands(commands, scope) {
+  return commands
+    .filter(command => !command.hidden)
+    .filter(command => {
+      const commandScope = command.scope || 'all';
+      if (scope === 'admin') return true;
+      return commandScope === 'all' || commandScope === scope;
+    })
+    .map(command => ({ command: command.name, description: command.description.substring(0, 256) }));
+}
+
+// Callback data of buttons sent before the namespace format; old messages still carry them
+const LEGACY_CALLBACKS = {
+  main_menu: 'menu:main',
+  help_menu: 'menu:help',
+  test_menu: 'menu:test'
+};
+
+// "namespace:param1:param2" callback data, legacy names mapped onto their namespace
+function parseCallbackData(data) {
+  const legacy = Object.hasOwn(LEGACY_CALLBACKS, data || '') ? LEGACY_CALLBACKS[data]
+    : /^test_\d+$/.test(data || '') ? data.replace('_', ':') : null;
+  const [namespace, ...params] = (legacy || data || '').split(':');
+  return { namespace, params };
+}
+
+module.exports = {
+  parseCommand,
+  formatUsage,
+  parseArgs,
+  isCommandAllowed,
+  buildHelpText,
+  buildMenuCommands,
+  parseCallbackData
+};
@@ -0,0 +1,64 @@
+// Holder concentration: share of a mint's supply held by its largest wallets
+// Input is getTokenLargestAccounts (top 20 token accounts) plus the owner of each account.
+// Liquidity pools, burn addresses and program-owned accounts are not holders who can dump,
+// so their balances are reported separately instead of counting as the top holder.
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+
+// Enriched token fields set from the concentration
+const HOLDER_FIELDS = ['top1HolderPct', 'top10HolderPct', 'holdersExcludedPct'];
+
+// Owners whose balances never count as a holder
+const EXCLUDED_OWNERS = {
+  [SYSTEM_PROGRAM]: 'burn',
+  '1nc1nerator11111111111111111111111111111111': 'burn',
+  '5Q544fKrFoe6tsEbD7S8EmxGTJYAKtTVhAW5Q5pge4j1': 'lp', // Raydium AMM v4 authority
+  GpMZbSM2GgvTKHJirzeGfMFoaZ8UR2X7F4v8vHTvxFbL: 'lp' // Raydium CPMM authority
+};
+
+// Wallets are owned by the System Program (or have no account at all); anything else is a program's PDA
+function isExcludedOwner(owner, ownerProgram, pairAddress) {
+  if (EXCLUDED_OWNERS[owner]) return true;
+  if (pairAddress && owner === pairAddress) return true;
+  return !!ownerProgram && ownerProgram !== SYSTEM_PROGRAM;
+}
+
+const percentOf = (amount, total) => Math.round((amount / total) * 10000) / 100;
+
+// largestAccounts: [{ address, amount }] (raw amounts), owners: Map(token account -> owner),
+// ownerPrograms: Map(owner -> program owning the owner account, null for wallets), supply: raw supply.
+// Balances are grouped per owner, so a wallet splitting its tokens across accounts still counts once.
+// null when the supply is unknown or there are no accounts
+function computeHolderConcentration({ largestAccounts, owners, ownerPrograms, supply, pairAddress = null }) {
+  const total = Number(supply);
+  if (!total || !Array.isArray(largestAccounts) || largestAccounts.length === 0) return null;
+
+  const balances = new Map();
+  let excluded = 0;
+
+  largestAccounts.forEach(account => {
+    const amount = Number(account.amount) || 0;
+    const owner = owners.get(account.address) || account.address;
+
+    if (account.address === pairAddress || isExcludedOwner(owner, ownerPrograms.get(owner), pairAddress)) {
+      excluded += amount;
+      return;
+    }
+    balances.set(owner, (balances.get(owner) || 0) + amount);
+  });
+
+  const sorted = [...balances.values()].sort((a, b) => b - a);
+  const top10 = sorted.slice(0, 10).reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    top1HolderPct: percentOf(sorted[0] || 0, total),
+    top10HolderPct: percentOf(top10, total),
+    holdersExcludedPct: percentOf(excluded, total)
+  };
+}
+
+module.exports = {
+  HOLDER_FIELDS,
+  EXCLUDED_OWNERS,
+  computeHolderConcentration
+};
@@ -0,0 +1,247 @@
+// Token list rules: which enriched tokens make a list, how it is sorted and how long it is
+// A rule set is { name, filter, sort: { field, order }, limit }. Named lists are configured as
+// { default, lists: { name: ruleSet } } in LIST_RULES (JSON) or LIST_RULES_FILE (path to a JSON or YAML file);
+// a single rule set is also accepted. Filters are comparisons combined with all / any groups:
+//   { "all": [{ "field": "marketCap", "op": ">=", "value": "25k" }, { "any": [...] }] }
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseThreshold } = require('./alert-conditions');
+
+const DEFAULT_LIST_RULES = {
+  name: 'safe',
+  filter: {
+    all: [
+      { field: 'marketCap', op: '>=', value: 25000 },
+      { field: 'mintable', op: '==', value: false },
+      { field: 'freezable', op: '==', value: false },
+      { field: 'hasExtensionRisk', op: '==', value: false }
+    ]
+  },
+  sort: { field: 'marketCap', order: 'desc' },
+  limit: 50
+};
+
+// Lists computed from every enrichment run when nothing is configured
+const DEFAULT_LIST_PROFILES = {
+  default: 'safe',
+  lists: {
+    safe: DEFAULT_LIST_RULES,
+    fresh: {
+      filter: { field: 'ageHours', op: '<', value: 1 },
+      sort: { field: 'pairCreatedAt', order: 'desc' },
+      limit: 50
+    },
+    bluechips: {
+      filter: { field: 'marketCap', op: '>', value: 10000000 },
+      sort: { field: 'marketCap', order: 'desc' },
+      limit: 50
+    }
+  }
+};
+
+const MAX_LIST_LIMIT = 500;
+const LIST_NAME_PATTERN = /^[a-z0-9_-]{1,20}$/; // Used in cache keys and callback data
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!=', 'in'];
+const SOCIAL_LINK_TYPES = ['twitter', 'telegram', 'discord'];
+
+// Derived fields; anything else is read from the enriched token (dotted paths allowed)
+const DERIVED_FIELDS = {
+  liquidity: token => token.liquidityUsd,
+  ageHours: token => (token.pairCreatedAt ? (Date.now() - token.pairCreatedAt) / 3600000 : null),
+  hasSocials: token => (token.links || []).some(link => SOCIAL_LINK_TYPES.includes(link.type)),
+  hasWebsite: token => (token.links || []).some(link => !link.type && /website/i.test(link.label || ''))
+};
+
+function getFieldValue(token, field) {
+  if (DERIVED_FIELDS[field]) return DERIVED_FIELDS[field](token);
+  return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), token);
+}
+
+// "25k" / "$1.5m" style amounts are accepted for numeric comparisons
+function normalizeValue(value) {
+  if (typeof value !== 'string') return value;
+  const amount = parseThreshold(value);
+  return amount === null ? value : amount;
+}
+
+function validateFilter(node, where) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    throw new Error(`${where}: expected a condition or an all / any group`);
+  }
+
+  const group = node.all || node.any;
+  if (group) {
+    if (!Array.isArray(group) || group.length === 0) {
+      throw new Error(`${where}: ${node.all ? 'all' : 'any'} needs a non-empty array`);
+    }
+    return { [node.all ? 'all' : 'any']: group.map((child, index) => validateFilter(child, `${where}[${index}]`)) };
+  }
+
+  if (typeof node.field !== 'string' || !/^[A-Za-z_][\w.]*$/.test(node.field)) {
+    throw new Error(`${where}: missing or invalid field`);
+  }
+  if (!OPERATORS.includes(node.op)) {
+    throw new Error(`${where}: op must be one of ${OPERATORS.join(' ')}`);
+  }
+  if (node.op === 'in' && !Array.isArray(node.value)) {
+    throw new Error(`${where}: "in" needs an array value`);
+  }
+  if (node.value === undefined) {
+    throw new Error(`${where}: missing value`);
+  }
+
+  return { field: node.field, op: node.op, value: node.op === 'in' ? node.value : normalizeValue(node.value) };
+}
+
+// Fill in defaults and reject malformed rule sets early (at startup, not mid-run)
+function validateListRules(rules) {
+  if (!rules || typeof rules !== 'object') {
+    throw new Error('Invalid list rules: expected an object');
+  }
+
+  try {
+    const sort = { ...DEFAULT_LIST_RULES.sort, ...(rules.sort || {}) };
+    if (typeof sort.field !== 'string' || !['asc', 'desc'].includes(sort.order)) {
+      throw new Error('sort needs a field and an order of asc or desc');
+    }
+
+    const limit = rules.limit === undefined ? DEFAULT_LIST_RULES.limit : rules.limit;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+      throw new Error(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`);
+    }
+
+    return {
+      name: rules.name || 'custom',
+      filter: rules.filter ? validateFilter(rules.filter, 'filter') : null,
+      sort: { field: sort.field, order: sort.order },
+      limit
+    };
+  } catch (error) {
+    throw new Error(`Invalid list rules: ${error.message}`);
+  }
+}
+
+// { default, lists } with every list validated; a bare rule set becomes a single list
+function validateListProfiles(config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Invalid list rules: expected an object');
+  }
+
+  const entries = config.lists ? Object.entries(config.lists) : [[config.name || 'default', config]];
+  if (entries.length === 0) {
+    throw new Error('Invalid list rules: lists is empty');
+  }
+
+  // No prototype, so names like "constructor" only resolve when configured
+  const lists = Object.create(null);
+  entries.forEach(([name, rules]) => {
+    if (!LIST_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid list name "${name}": use 1-20 lowercase letters, digits, _ or -`);
+    }
+    lists[name] = validateListRules({ ...rules, name });
+  });
+
+  const defaultList = config.lists ? config.default || entries[0][0] : entries[0][0];
+  if (!lists[defaultList]) {
+    throw new Error(`Invalid list rules: default list "${defaultList}" is not defined`);
+  }
+
+  return { default: defaultList, lists };
+}
+
+// LIST_RULES (inline JSON) wins over LIST_RULES_FILE; without either the default lists apply
+// Files ending in .yaml / .yml are parsed as YAML, anything else as JSON
+function loadListProfiles(env = process.env) {
+  let source = 'LIST_RULES';
+  let text;
+  let parse = JSON.parse;
+
+  try {
+    if (env.LIST_RULES) {
+      text = env.LIST_RULES;
+    } else if (env.LIST_RULES_FILE) {
+      source = env.LIST_RULES_FILE;
+      text = fs.readFileSync(path.resolve(__dirname, env.LIST_RULES_FILE), 'utf8');
+      if (/\.ya?ml$/i.test(env.LIST_RULES_FILE)) parse = YAML.parse;
+    } else {
+      return validateListProfiles(DEFAULT_LIST_PROFILES);
+    }
+    return validateListProfiles(parse(text));
+  } catch (error) {
+    throw new Error(`Could not load list rules from ${source}: ${error.message}`);
+  }
+}
+
+function compare(actual, op, expected) {
+  // Missing data never passes a rule
+  if (actual === null || actual === undefined) return false;
+
+  switch (op) {
+    case '>': return Number(actual) > expected;
+    case '>=': return Number(actual) >= expected;
+    case '<': return Number(actual) < expected;
+    case '<=': return Number(actual) <= expected;
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    default: return false;
+  }
+}
+
+// Conditions on ignoreFields count as passing: "could this token match once those fields are known?"
+function matchesFilter(token, node, ignoreFields = null) {
+  if (!node) return true;
+  if (node.all) return node.all.every(child => matchesFilter(token, child, ignoreFields));
+  if (node.any) return node.any.some(child => matchesFilter(token, child, ignoreFields));
+  if (ignoreFields && ignoreFields.includes(node.field)) return true;
+  return compare(getFieldValue(token, node.field), node.op, node.value);
+}
+
+// Matching tokens, sorted and cut to the limit; tokens without a sort value go last
+function applyListRules(tokens, rules) {
+  const direction = rules.sort.order === 'asc' ? 1 : -1;
+  const sortValue = token => {
+    const value = getFieldValue(token, rules.sort.field);
+    return value === null || value === undefined ? null : value;
+  };
+
+  return tokens
+    .filter(token => matchesFilter(token, rules.filter))
+    .map(token => ({ token, value: sortValue(token) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+      if (a.value < b.value) return -direction;
+      if (a.value > b.value) return direction;
+      return 0;
+    })
+    .slice(0, rules.limit)
+    .map(entry => entry.token);
+}
+
+function describeFilter(node) {
+  if (!node) return 'any token';
+  if (node.all) return node.all.map(child => (child.any ? `(${describeFilter(child)})` : describeFilter(child))).join(' AND ');
+  if (node.any) return node.any.map(child => (child.all ? `(${describeFilter(child)})` : describeFilter(child))).join(' OR ');
+
+  const value = node.op === 'in' ? `[${node.value.join(', ')}]` :
+    typeof node.value === 'number' ? node.value.toLocaleString() : String(node.value);
+  return `${node.field} ${node.op} ${value}`;
+}
+
+// "safe: marketCap >= 25,000 AND mintable == false ..., top 50 by marketCap desc"
+function describeListRules(rules) {
+  return `${rules.name}: ${describeFilter(rules.filter)}, top ${rules.limit} by ${rules.sort.field} ${rules.sort.order}`;
+}
+
+module.exports = {
+  DEFAULT_LIST_RULES,
+  DEFAULT_LIST_PROFILES,
+  validateListRules,
+  validateListProfiles,
+  loadListProfiles,
+  getFieldValue,
+  matchesFilter,
+  applyListRules,
+  describeListRules
+};
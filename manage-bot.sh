@@ -27,8 +27,18 @@ case "$1" in
         echo "📊 SolTools Dex Bot Status:"
         systemctl status $SERVICE_NAME --no-pager
         echo ""
-        echo "🌐 Health Check:"
-        curl -s http://localhost:3000/health | jq . 2>/dev/null || curl -s http://localhost:3000/health
+        echo "🌐 Readiness Check:"
+        READY_BODY=$(curl -s -w '\n%{http_code}' http://localhost:3000/health/ready)
+        READY_CODE=$(echo "$READY_BODY" | tail -n1)
+        READY_BODY=$(echo "$READY_BODY" | sed '$d')
+        echo "$READY_BODY" | jq . 2>/dev/null || echo "$READY_BODY"
+        if [ "$READY_CODE" = "200" ]; then
+            echo "✅ Bot is ready"
+        else
+            echo "❌ Bot is not ready (HTTP $READY_CODE)"
+            echo "$READY_BODY" | jq -r '.checks | to_entries[] | select(.value.status == "fail") | "   - \(.key): \(.value.error // "age \(.value.ageSeconds)s exceeds \(.value.maxAgeSeconds)s")"' 2>/dev/null
+            exit 1
+        fi
         ;;
     logs)
         echo "📋 Recent logs:"
@@ -65,8 +75,8 @@ case "$1" in
         ;;
     test)
         echo "🧪 Testing bot functionality..."
-        echo "1. Health check:"
-        curl -s http://localhost:3000/health | jq . 2>/dev/null || curl -s http://localhost:3000/health
+        echo "1. Readiness check:"
+        curl -s http://localhost:3000/health/ready | jq . 2>/dev/null || curl -s http://localhost:3000/health/ready
         echo ""
         echo "2. HTTPS health check:"
         curl -s https://tzen.ai/health | jq . 2>/dev/null || curl -s https://tzen.ai/health
@@ -89,7 +99,7 @@ case "$1" in
         echo "  start       - Start the bot service"
         echo "  stop        - Stop the bot service"
         echo "  restart     - Restart the bot service"
-        echo "  status      - Show service status and health"
+        echo "  status      - Show service status and readiness (exits 1 when not ready)"
         echo "  logs        - Show recent logs"
         echo "  logs-follow - Follow logs in real-time"
         echo "  dev         - Switch to development mode (with nodemon)"
@@ -0,0 +1,217 @@
+// Minimal Prometheus metrics: counters, gauges, histograms and text exposition
+// Snapshots let the short-lived cache job persist its metrics for the server to export.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = new Map(); // name -> { type, help, labelNames, buckets, series: Map(labelKey -> { labels, value }) }
+const collectors = [];
+
+const labelKey = labels => JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+
+function register(type, name, help, labelNames = [], buckets) {
+  if (!registry.has(name)) {
+    registry.set(name, { type, help, labelNames, buckets, series: new Map() });
+  }
+  return registry.get(name);
+}
+
+function getSeries(metric, labels, initial) {
+  const key = labelKey(labels);
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels: { ...labels }, value: initial() });
+  }
+  return metric.series.get(key);
+}
+
+function counter(name, help, labelNames) {
+  const metric = register('counter', name, help, labelNames);
+  return {
+    inc: (labels = {}, amount = 1) => {
+      getSeries(metric, labels, () => 0).value += amount;
+    }
+  };
+}
+
+function gauge(name, help, labelNames) {
+  const metric = register('gauge', name, help, labelNames);
+  return {
+    set: (labels, value) => {
+      getSeries(metric, labels, () => 0).value = value;
+    }
+  };
+}
+
+function histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+  const metric = register('histogram', name, help, labelNames, buckets);
+  return {
+    observe: (labels, value) => {
+      const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.value.counts[index]++;
+      });
+      series.value.sum += value;
+      series.value.count++;
+    }
+  };
+}
+
+// Gauges computed at scrape time (queue depths, cache age)
+function registerCollector(collect) {
+  collectors.push(collect);
+}
+
+async function collect() {
+  for (const fn of collectors) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error('❌ Error collecting metrics:', error.message);
+    }
+  }
+}
+
+// Plain-object copy of the registry, safe to JSON.stringify
+function snapshotMetrics() {
+  const snapshot = {};
+  registry.forEach((metric, name) => {
+    snapshot[name] = {
+      type: metric.type,
+      help: metric.help,
+      buckets: metric.buckets,
+      series: [...metric.series.values()].map(series => ({ labels: series.labels, value: series.value }))
+    };
+  });
+  return snapshot;
+}
+
+// Add a new snapshot onto a stored one: counters and histograms accumulate, gauges are replaced
+function mergeSnapshots(stored, next) {
+  const merged = JSON.parse(JSON.stringify(stored || {}));
+
+  Object.entries(next).forEach(([name, metric]) => {
+    if (!merged[name] || merged[name].type !== metric.type) {
+      merged[name] = JSON.parse(JSON.stringify(metric));
+      return;
+    }
+
+    const existing = new Map(merged[name].series.map(series => [labelKey(series.labels), series]));
+    metric.series.forEach(series => {
+      const current = existing.get(labelKey(series.labels));
+      if (!current) {
+        merged[name].series.push(JSON.parse(JSON.stringify(series)));
+      } else if (metric.type === 'counter') {
+        current.value += series.value;
+      } else if (metric.type === 'histogram') {
+        current.value.counts = current.value.counts.map((count, index) => count + (series.value.counts[index] || 0));
+        current.value.sum += series.value.sum;
+        current.value.count += series.value.count;
+      } else {
+        current.value = series.value;
+      }
+    });
+  });
+
+  return merged;
+}
+
+// What changed between two snapshots of the same registry: counter and histogram increases,
+// and gauges set to a new value. Unchanged series are left out.
+function diffSnapshots(before, after) {
+  const diff = {};
+
+  Object.entries(after).forEach(([name, metric]) => {
+    const previous = before?.[name]?.type === metric.type ? before[name].series : [];
+    const old = new Map(previous.map(series => [labelKey(series.labels), series.value]));
+    const series = [];
+
+    metric.series.forEach(({ labels, value }) => {
+      const prior = old.get(labelKey(labels));
+      if (metric.type === 'counter') {
+        if (value !== (prior || 0)) series.push({ labels, value: value - (prior || 0) });
+      } else if (metric.type === 'histogram') {
+        if (value.count === (prior?.count || 0)) return;
+        series.push({
+          labels,
+          value: {
+            counts: value.counts.map((count, index) => count - (prior?.counts[index] || 0)),
+            sum: value.sum - (prior?.sum || 0),
+            count: value.count - (prior?.count || 0)
+          }
+        });
+      } else if (value !== prior) {
+        series.push({ labels, value });
+      }
+    });
+
+    if (series.length > 0) {
+      diff[name] = { type: metric.type, help: metric.help, buckets: metric.buckets, series };
+    }
+  });
+
+  return diff;
+}
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Prometheus text format for one or more snapshots, each as { snapshot, labels }.
+// The extra labels (e.g. { process: 'cache_job' }) keep series from different sources apart.
+function renderMetrics(sources) {
+  const families = new Map();
+
+  sources.forEach(({ snapshot, labels: extraLabels = {} }) => {
+    Object.entries(snapshot || {}).forEach(([name, metric]) => {
+      if (!families.has(name)) {
+        families.set(name, { ...metric, series: [] });
+      }
+      const family = families.get(name);
+      if (family.type !== metric.type) return;
+
+      metric.series.forEach(series => {
+        family.series.push({ labels: { ...series.labels, ...extraLabels }, value: series.value });
+      });
+    });
+  });
+
+  const lines = [];
+
+  families.forEach((metric, name) => {
+    if (metric.series.length === 0) return;
+
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+
+    metric.series.forEach(({ labels: all, value }) => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(all)} ${value}`);
+        return;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...all, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...all, le: '+Inf' })} ${value.count}`);
+      lines.push(`${name}_sum${formatLabels(all)} ${value.sum}`);
+      lines.push(`${name}_count${formatLabels(all)} ${value.count}`);
+    });
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  registerCollector,
+  collect,
+  snapshotMetrics,
+  mergeSnapshots,
+  diffSnapshots,
+  renderMetrics
+};
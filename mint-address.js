@@ -0,0 +1,32 @@
+// Solana mint address validation and detection in free text
+// Kept free of storage and network dependencies so routing and API code can use it on its own.
+
+// Solana mint addresses are base58-encoded 32-byte public keys (32-44 characters)
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const MINT_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const MINT_ADDRESS_SCAN_REGEX = /(?<![1-9A-HJ-NP-Za-km-z])[1-9A-HJ-NP-Za-km-z]{32,44}(?![1-9A-HJ-NP-Za-km-z])/g;
+
+// Decoded byte length of a base58 string (leading '1's are zero bytes)
+function base58ByteLength(value) {
+  let n = 0n;
+  for (const char of value) {
+    n = n * 58n + BigInt(BASE58_ALPHABET.indexOf(char));
+  }
+  const leadingZeros = value.match(/^1*/)[0].length;
+  return leadingZeros + (n === 0n ? 0 : Math.ceil(n.toString(16).length / 2));
+}
+
+const isValidMintAddress = v =>
+  typeof v === 'string' && MINT_ADDRESS_REGEX.test(v) && base58ByteLength(v) === 32;
+
+// Find mint addresses in free text, including DexScreener / pump.fun / Birdeye URLs
+function extractMintAddresses(text) {
+  if (!text) return [];
+  const matches = text.match(MINT_ADDRESS_SCAN_REGEX) || [];
+  return [...new Set(matches.filter(isValidMintAddress))];
+}
+
+module.exports = {
+  isValidMintAddress,
+  extractMintAddresses
+};
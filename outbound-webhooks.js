@@ -0,0 +1,84 @@
+// Signed delivery of token events to partner webhook endpoints
+const axios = require('axios');
+const crypto = require('crypto');
+const { getDueWebhookDeliveries, markWebhookDelivered, markWebhookFailed } = require('./cache-solana-tokens');
+
+const WEBHOOK_TIMEOUT = 10000;
+const WEBHOOK_BATCH_SIZE = 20; // Deliveries sent per dispatch
+
+// HMAC-SHA256 over "<timestamp>.<body>" so receivers can reject replays of old payloads
+function signWebhookPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+async function sendWebhook(delivery) {
+  const body = JSON.stringify({ id: delivery.id, ...JSON.parse(delivery.payload) });
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  return axios.post(delivery.url, body, {
+    timeout: WEBHOOK_TIMEOUT,
+    maxRedirects: 0,
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'soltools-webhooks/1.0',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhookPayload(delivery.secret, timestamp, body)}`
+    }
+  });
+}
+
+let dispatching = false;
+const unrecorded = new Map(); // Delivered deliveries whose status could not be saved yet: id -> status code
+
+// Deliver due webhooks from the SQLite outbox filled by the cache job
+async function dispatchWebhooks() {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    // Deliveries that could not be recorded last time are recorded, never sent again
+    for (const [id, status] of unrecorded) {
+      await markWebhookDelivered(id, status);
+      unrecorded.delete(id);
+    }
+
+    const due = await getDueWebhookDeliveries(WEBHOOK_BATCH_SIZE);
+
+    await Promise.all(due.map(async (delivery) => {
+      let response = null;
+
+      try {
+        response = await sendWebhook(delivery);
+        await markWebhookDelivered(delivery.id, response.status);
+        console.log(`🪝 Delivered ${delivery.event} #${delivery.id} to ${delivery.url}`);
+      } catch (error) {
+        // A failure to record is not a failed delivery
+        if (response) {
+          unrecorded.set(delivery.id, response.status);
+          console.error(`❌ Delivered webhook #${delivery.id} but could not record it:`, error.message);
+          return;
+        }
+
+        const statusCode = error.response?.status;
+        const { dead, delay } = await markWebhookFailed(delivery, error.message, statusCode);
+
+        if (dead) {
+          console.error(`💀 Webhook delivery #${delivery.id} to ${delivery.url} dead-lettered:`, error.message);
+        } else {
+          console.warn(`⏳ Webhook delivery #${delivery.id} to ${delivery.url} failed (${error.message}), retrying in ${delay}s`);
+        }
+      }
+    }));
+  } catch (error) {
+    console.error('❌ Error dispatching webhooks:', error.message);
+  } finally {
+    dispatching = false;
+  }
+}
+
+module.exports = {
+  signWebhookPayload,
+  dispatchWebhooks
+};
@@ -3,44 +3,247 @@ const express = require('express');
 const TelegramBot = require('node-telegram-bot-api');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const { getEnrichedTokens, getCachedSolanaTokens } = require('./cache-solana-tokens');
+const crypto = require('crypto');
+const {
+  fetchEnrichAndCache,
+  cleanupExpiredRecords,
+  getCacheInfoReport,
+  getStatsReport,
+  getEnrichedTokens,
+  getTokenDetails,
+  searchCachedTokens,
+  claimUpdateId,
+  addToWatchlist,
+  removeFromWatchlist,
+  getWatchlist,
+  getTrackedTokens,
+  addAlert,
+  removeAlert,
+  getAlerts,
+  getJobMetrics,
+  localMetricsSnapshot,
+  getCacheWriteTimes,
+  getStorageHealth,
+  addSubscription,
+  removeSubscription,
+  getChatSubscription,
+  getPendingNotifications,
+  markNotificationSent,
+  markNotificationFailed,
+  MAX_WATCHLIST_TOKENS,
+  MAX_ALERTS_PER_USER,
+  ENRICHED_CACHE_EXPIRY,
+  LIST_PROFILES
+} = require('./cache-solana-tokens');
+const { describeListRules } = require('./list-rules');
+const { isValidMintAddress, extractMintAddresses } = require('./mint-address');
+const { parseAlertCondition, parseThreshold, describeCondition, getMetricValue } = require('./alert-conditions');
+const { formatTokenCard, escapeHtml, formatPrice, formatUsd, formatChange } = require('./token-card');
+const { createTelegramDelivery, isBlockedError } = require('./telegram-delivery');
+const { attachTokenStream } = require('./token-stream');
+const { createTokenApi } = require('./token-api');
+const { createApiAuth } = require('./api-auth');
+const { dispatchWebhooks } = require('./outbound-webhooks');
+const metrics = require('./metrics');
+const {
+  parseCommand,
+  formatUsage,
+  parseArgs,
+  isCommandAllowed,
+  buildHelpText,
+  buildMenuCommands,
+  parseCallbackData
+} = require('./command-router');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // SQLite configuration
-const DB_PATH = path.join(__dirname, 'tokens.db');
+const DB_PATH = process.env.TOKENS_DB_PATH || path.join(__dirname, 'tokens.db');
+const SQLITE_BUSY_TIMEOUT = 5000; // Shared with the cache job, see its ensureDB
 
 // Initialize SQLite database
 let db = null;
 let dbConnected = false;
 
+// Webhook security
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_BODY_LIMIT = '256kb'; // Telegram updates are a few KB at most
+
+// /metrics needs this bearer token; without one it only answers scrapers on this host
+const METRICS_TOKEN = process.env.METRICS_TOKEN;
+
+// Bot identity and operators
+let botUsername = process.env.BOT_USERNAME || 'soltoolsdexpaidbot'; // Refreshed from getMe on startup
+const ADMIN_IDS = (process.env.ADMIN_IDS || '')
+  .split(',')
+  .map(id => parseInt(id.trim(), 10))
+  .filter(Number.isInteger);
+
+// /admin refresh and /broadcast
+const ADMIN_PROGRESS_EDIT_INTERVAL = 3000; // Progress edits are throttled to one per interval
+let adminRefreshRunning = false; // Fast path, fetchEnrichAndCache also locks across processes
+const BROADCAST_CHUNK_SIZE = 25; // Messages queued at a time, the delivery layer enforces the rate limits
+const BROADCAST_PRIORITY = 9; // Lowest, interactive replies go first
+const BROADCAST_ACTIVE_DAYS = 7;
+let broadcastRunning = false;
+
+// /top pagination settings
+const TOP_PAGE_SIZE = 10;
+const TOP_SORTS = {
+  mc: { label: '📊 MC', title: 'market cap', compare: (a, b) => b.marketCap - a.marketCap },
+  price: { label: '💵 Price', title: 'price', compare: (a, b) => b.price - a.price },
+  new: { label: '🆕 Newest', title: 'newest', compare: (a, b) => (b.pairCreatedAt || 0) - (a.pairCreatedAt || 0) }
+};
+
+// Contract-address auto detection
+const AUTO_DETECT_DEDUPE_MS = 60 * 1000; // Same address in the same chat is answered once per minute
+const AUTO_DETECT_MAX_PER_MESSAGE = 3;
+const recentDetections = new Map(); // `${chatId}:${mint}` -> timestamp
+
+// Readiness thresholds (the cache timer runs every 4 minutes)
+const READY_MAX_CACHE_AGE = {
+  'solana:tokens:latest': 15 * 60,
+  'solana:tokens:enriched': 15 * 60
+};
+const READY_MAX_PENDING_UPDATES = 100;
+const READY_WEBHOOK_ERROR_WINDOW = 10 * 60; // Seconds a webhook delivery error is reported as a warning
+const WEBHOOK_INFO_CACHE_TIME = 30 * 1000; // getWebhookInfo is cached between probes
+const WEBHOOK_INFO_TIMEOUT = 5000;
+let webhookInfoCache = null;
+
+// Inline mode
+const INLINE_PAGE_SIZE = 20;
+const INLINE_MIN_CACHE_TIME = 10; // Seconds
+
+// Notification outbox polling (alerts are queued by the cache job)
+const NOTIFICATION_POLL_INTERVAL = 5000;
+let notificationsDispatching = false;
+const unrecordedNotifications = new Set(); // Delivered, sent_at not saved yet
+
+// Outbound webhook polling (token events are queued by the cache job)
+const WEBHOOK_POLL_INTERVAL = 5000;
+
+// Bot metrics for /metrics
+// Update types counted by name (the ones setup-webhook subscribes to), anything else as 'other'
+const TELEGRAM_UPDATE_TYPES = ['message', 'edited_message', 'callback_query', 'inline_query', 'chosen_inline_result', 'my_chat_member'];
+const telegramUpdates = metrics.counter('soltools_telegram_updates_total', 'Telegram updates received by type', ['type']);
+const telegramDuplicates = metrics.counter('soltools_telegram_duplicate_updates_total', 'Telegram updates skipped as already handled');
+const telegramCommands = metrics.counter('soltools_telegram_commands_total', 'Bot commands by result', ['command', 'result']);
+const telegramOutbound = metrics.gauge('soltools_telegram_outbound_jobs', 'Outbound Telegram messages by queue state', ['state']);
+const websocketClients = metrics.gauge('soltools_websocket_clients', 'Connected /ws clients');
+const jobMetricsAge = metrics.gauge('soltools_cache_job_metrics_age_seconds', 'Seconds since the cache job last saved its metrics');
+
 // Initialize bot with webhook
 const bot = new TelegramBot(process.env.BOT_TOKEN, { polling: false });
 
-// Middleware
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// All outbound messages go through the rate-limited delivery layer
+const delivery = createTelegramDelivery(bot, {
+  onBlocked: (chatId, error) => setChatBlocked(chatId, error.message)
+});
 
 // =============================================================================
 // HTTP ENDPOINTS
 // =============================================================================
 
+// Only Telegram knows the secret registered through setWebhook
+function verifyWebhookSecret(req, res, next) {
+  if (!WEBHOOK_SECRET) return next();
+  
+  const received = Buffer.from(req.get('X-Telegram-Bot-Api-Secret-Token') || '');
+  const expected = Buffer.from(WEBHOOK_SECRET);
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.warn(`⛔ Rejected webhook call with invalid secret from ${req.ip}`);
+    return res.sendStatus(401);
+  }
+  
+  next();
+}
+
+// Local means a loopback connection that no proxy forwarded on someone else's behalf
+function isLocalRequest(req) {
+  const address = req.socket.remoteAddress || '';
+  const loopback = address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+  return loopback && !req.get('X-Forwarded-For');
+}
+
+// Prometheus scrapers send `Authorization: Bearer <METRICS_TOKEN>`
+function verifyMetricsAccess(req, res, next) {
+  if (!METRICS_TOKEN) {
+    return isLocalRequest(req) ? next() : res.sendStatus(403);
+  }
+  
+  const received = Buffer.from(req.get('Authorization') || '');
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    console.warn(`⛔ Rejected /metrics call without a valid token from ${req.ip}`);
+    return res.sendStatus(401);
+  }
+  
+  next();
+}
+
 // Webhook endpoint
-app.post('/webhook', (req, res) => {
+app.post('/webhook', verifyWebhookSecret, express.json({ limit: WEBHOOK_BODY_LIMIT }), async (req, res) => {
   const update = req.body;
-  console.log('📥 Webhook received:', update);
+  
+  if (!req.is('application/json')) {
+    return res.sendStatus(415);
+  }
+  
+  if (!update || typeof update !== 'object' || !Number.isInteger(update.update_id)) {
+    return res.status(400).json({ error: 'Invalid update' });
+  }
+  
+  const updateType = Object.keys(update).find(key => key !== 'update_id') || 'unknown';
+  
+  // Telegram retries updates when we answer slowly; handle each update_id once
+  try {
+    if (!(await claimUpdateId(update.update_id))) {
+      telegramDuplicates.inc();
+      console.log(`⏭️  Skipping duplicate update ${update.update_id} (${updateType})`);
+      return res.sendStatus(200);
+    }
+  } catch (error) {
+    console.error(`❌ Error checking update ${update.update_id}:`, error.message);
+  }
+  
+  console.log(`📥 Update ${update.update_id} received (${updateType})`);
+  telegramUpdates.inc({ type: TELEGRAM_UPDATE_TYPES.includes(updateType) ? updateType : 'other' });
+  
+  recordUpdateParticipants(update).catch(error =>
+    console.error(`❌ Error recording users for update ${update.update_id}:`, error.message)
+  );
   
   if (update.message) {
     handleMessage(update.message);
   } else if (update.callback_query) {
     bot.emit('callback_query', update.callback_query);
+  } else if (update.inline_query) {
+    handleInlineQuery(update.inline_query);
+  } else if (update.chosen_inline_result) {
+    handleChosenInlineResult(update.chosen_inline_result);
+  } else if (update.my_chat_member) {
+    handleMyChatMember(update.my_chat_member);
   }
   
   res.sendStatus(200);
 });
 
-// Health check endpoint
+// Body parser errors: oversized (413) or malformed (400) payloads
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Payload too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON' });
+  }
+  next(err);
+});
+
+// Health check endpoint (kept for existing monitors, same as /health/live)
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
@@ -49,6 +252,137 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness: the process is up and serving requests
+app.get('/health/live', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Readiness: storage reachable, cache fresh, Telegram delivering to us
+app.get('/health/ready', async (req, res) => {
+  const [storage, cache, telegram] = await Promise.all([
+    getStorageHealth(),
+    checkCacheFreshness(),
+    checkTelegramWebhook()
+  ]);
+  
+  const checks = {
+    sqlite: { status: storage.sqlite.ok ? 'pass' : 'fail', error: storage.sqlite.error },
+    redis: { status: !storage.redis.enabled ? 'skip' : storage.redis.ok ? 'pass' : 'fail', error: storage.redis.error },
+    ...cache,
+    telegram
+  };
+  const ready = Object.values(checks).every(check => check.status !== 'fail');
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    checks
+  });
+});
+
+// Prometheus metrics: this server's live metrics plus the last saved cache job snapshot
+app.get('/metrics', verifyMetricsAccess, async (req, res) => {
+  try {
+    await metrics.collect();
+    
+    const job = await getJobMetrics();
+    if (job) {
+      jobMetricsAge.set({}, Math.round((Date.now() - new Date(job.updatedAt).getTime()) / 1000));
+    }
+    
+    res.type('text/plain; version=0.0.4').send(metrics.renderMetrics([
+      { snapshot: localMetricsSnapshot(), labels: { process: 'server' } },
+      { snapshot: job?.snapshot, labels: { process: 'cache_job' } }
+    ]));
+  } catch (error) {
+    console.error('❌ Error rendering metrics:', error.message);
+    res.sendStatus(500);
+  }
+});
+
+// Token API, API key required
+const apiAuth = createApiAuth();
+app.use('/api', apiAuth.middleware, createTokenApi());
+
+// =============================================================================
+// READINESS CHECKS
+// =============================================================================
+
+// Ages of the cache lists against READY_MAX_CACHE_AGE
+async function checkCacheFreshness() {
+  let writeTimes;
+  try {
+    writeTimes = await getCacheWriteTimes();
+  } catch (error) {
+    return { cache: { status: 'fail', error: error.message } };
+  }
+  
+  const checks = {};
+  Object.entries(READY_MAX_CACHE_AGE).forEach(([key, maxAge]) => {
+    const name = `cache:${key.split(':').pop()}`;
+    const writtenAt = writeTimes[key];
+    
+    if (!writtenAt) {
+      checks[name] = { status: 'fail', error: 'Never written', maxAgeSeconds: maxAge };
+      return;
+    }
+    
+    const ageSeconds = Math.round((Date.now() - writtenAt.getTime()) / 1000);
+    checks[name] = {
+      status: ageSeconds <= maxAge ? 'pass' : 'fail',
+      writtenAt: writtenAt.toISOString(),
+      ageSeconds,
+      maxAgeSeconds: maxAge
+    };
+  });
+  
+  return checks;
+}
+
+// getWebhookInfo: webhook set, pending updates below the limit, recent delivery errors as warnings
+async function checkTelegramWebhook() {
+  if (webhookInfoCache && Date.now() - webhookInfoCache.checkedAt < WEBHOOK_INFO_CACHE_TIME) {
+    return webhookInfoCache.result;
+  }
+  
+  let result;
+  try {
+    const info = await Promise.race([
+      bot.getWebHookInfo(),
+      new Promise((_, reject) => setTimeout(() => reject(new Error('getWebhookInfo timed out')), WEBHOOK_INFO_TIMEOUT))
+    ]);
+    
+    const errorAge = info.last_error_date ? Math.round(Date.now() / 1000 - info.last_error_date) : null;
+    const recentError = errorAge !== null && errorAge <= READY_WEBHOOK_ERROR_WINDOW;
+    
+    let status = recentError ? 'warn' : 'pass';
+    if (!info.url || info.pending_update_count > READY_MAX_PENDING_UPDATES) {
+      status = 'fail';
+    }
+    
+    result = {
+      status,
+      url: info.url || null,
+      pendingUpdateCount: info.pending_update_count,
+      maxPendingUpdates: READY_MAX_PENDING_UPDATES,
+      lastErrorMessage: info.last_error_message || null,
+      lastErrorDate: info.last_error_date ? new Date(info.last_error_date * 1000).toISOString() : null
+    };
+    if (!info.url) {
+      result.error = 'Webhook not set';
+    }
+  } catch (error) {
+    result = { status: 'fail', error: error.message };
+  }
+  
+  webhookInfoCache = { checkedAt: Date.now(), result };
+  return result;
+}
+
 // =============================================================================
 // SQLITE FUNCTIONS
 // =============================================================================
@@ -64,268 +398,1408 @@ async function ensureDB() {
         } else {
           console.log('🔗 Connected to SQLite database');
           dbConnected = true;
-          resolve();
+          db.configure('busyTimeout', SQLITE_BUSY_TIMEOUT);
+          
+          // Bot-side tables
+          db.serialize(() => {
+            db.run('PRAGMA journal_mode = WAL');
+            
+            db.run(`CREATE TABLE IF NOT EXISTS chat_settings (
+              chat_id INTEGER PRIMARY KEY,
+              auto_detect INTEGER DEFAULT 1,
+              updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // User / chat registry, updated on every webhook update
+            db.run(`CREATE TABLE IF NOT EXISTS users (
+              user_id INTEGER PRIMARY KEY,
+              username TEXT,
+              first_name TEXT,
+              language_code TEXT,
+              is_bot INTEGER DEFAULT 0,
+              command_count INTEGER DEFAULT 0,
+              first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_users_last_seen ON users(last_seen_at)`);
+            
+            db.run(`CREATE TABLE IF NOT EXISTS chats (
+              chat_id INTEGER PRIMARY KEY,
+              type TEXT,
+              title TEXT,
+              username TEXT,
+              first_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+              last_seen_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`);
+            
+            // Command invocations per day, command and result
+            db.run(`CREATE TABLE IF NOT EXISTS command_usage (
+              day TEXT NOT NULL,
+              command TEXT NOT NULL,
+              result TEXT NOT NULL,
+              count INTEGER DEFAULT 0,
+              PRIMARY KEY (day, command, result)
+            )`);
+            
+            // Chats that blocked the bot (403), skipped by the delivery layer
+            db.run(`CREATE TABLE IF NOT EXISTS blocked_chats (
+              chat_id INTEGER PRIMARY KEY,
+              reason TEXT,
+              blocked_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )`, () => resolve()); // Resolve once the schema is in place
+          });
+        }
+      });
+    });
+  }
+}
+
+// Get data from SQLite
+function dbGet(table, key) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT data FROM ${table} WHERE key_name = ? AND (expires_at IS NULL OR expires_at > datetime('now'))`,
+      [key],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row ? JSON.parse(row.data) : null);
         }
+      }
+    );
+  });
+}
+
+
+// Run a statement against SQLite
+function dbRun(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve({ changes: this.changes, lastID: this.lastID });
+      }
+    });
+  });
+}
+
+// Get a single row from SQLite
+function dbGetRow(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(row || null);
+      }
+    });
+  });
+}
+
+// Get all rows from SQLite
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(rows);
+      }
+    });
+  });
+}
+
+// Per-chat settings (defaults apply when the chat has no row yet)
+async function getChatSettings(chatId) {
+  await ensureDB();
+  const row = await dbGetRow('SELECT auto_detect FROM chat_settings WHERE chat_id = ?', [chatId]);
+  return {
+    autoDetect: row ? row.auto_detect === 1 : true
+  };
+}
+
+async function setChatAutoDetect(chatId, enabled) {
+  await ensureDB();
+  await dbRun(
+    `INSERT INTO chat_settings (chat_id, auto_detect, updated_at) VALUES (?, ?, datetime('now'))
+     ON CONFLICT(chat_id) DO UPDATE SET auto_detect = excluded.auto_detect, updated_at = excluded.updated_at`,
+    [chatId, enabled ? 1 : 0]
+  );
+}
+
+async function setChatBlocked(chatId, reason) {
+  await ensureDB();
+  await dbRun(
+    'INSERT OR REPLACE INTO blocked_chats (chat_id, reason) VALUES (?, ?)',
+    [chatId, reason]
+  );
+}
+
+async function clearChatBlocked(chatId) {
+  await ensureDB();
+  await dbRun('DELETE FROM blocked_chats WHERE chat_id = ?', [chatId]);
+}
+
+// Record the user and chat behind an update (first / last seen, language)
+async function recordUpdateParticipants(update) {
+  const source = update.message || update.callback_query || update.inline_query ||
+    update.chosen_inline_result || update.my_chat_member;
+  if (!source) return;
+  
+  const user = source.from;
+  const chat = source.chat || source.message?.chat;
+  
+  await ensureDB();
+  
+  if (user) {
+    await dbRun(
+      `INSERT INTO users (user_id, username, first_name, language_code, is_bot) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id) DO UPDATE SET
+         username = excluded.username,
+         first_name = excluded.first_name,
+         language_code = COALESCE(excluded.language_code, users.language_code),
+         last_seen_at = datetime('now')`,
+      [user.id, user.username || null, user.first_name || null, user.language_code || null, user.is_bot ? 1 : 0]
+    );
+  }
+  
+  if (chat) {
+    await dbRun(
+      `INSERT INTO chats (chat_id, type, title, username) VALUES (?, ?, ?, ?)
+       ON CONFLICT(chat_id) DO UPDATE SET
+         type = excluded.type,
+         title = excluded.title,
+         username = excluded.username,
+         last_seen_at = datetime('now')`,
+      [chat.id, chat.type, chat.title || null, chat.username || null]
+    );
+  }
+}
+
+// Daily command counters, plus the per-user total
+async function recordCommandUsage(command, result, userId) {
+  await ensureDB();
+  await dbRun(
+    `INSERT INTO command_usage (day, command, result, count) VALUES (date('now'), ?, ?, 1)
+     ON CONFLICT(day, command, result) DO UPDATE SET count = count + 1`,
+    [command, result]
+  );
+  await dbRun('UPDATE users SET command_count = command_count + 1 WHERE user_id = ?', [userId]);
+}
+
+// Registry totals and command counts for /admin usage
+async function getUsageReport(days) {
+  await ensureDB();
+  
+  const users = await dbGetRow(
+    `SELECT COUNT(*) AS total,
+       SUM(last_seen_at >= datetime('now', '-1 day')) AS day,
+       SUM(last_seen_at >= datetime('now', '-7 days')) AS week,
+       SUM(last_seen_at >= datetime('now', '-30 days')) AS month,
+       SUM(user_id IN (SELECT chat_id FROM blocked_chats)) AS blocked
+     FROM users WHERE is_bot = 0`
+  );
+  const groups = await dbGetRow(
+    `SELECT COUNT(*) AS total FROM chats
+     WHERE type IN ('group', 'supergroup') AND chat_id NOT IN (SELECT chat_id FROM blocked_chats)`
+  );
+  const languages = await dbAll(
+    `SELECT COALESCE(language_code, '?') AS language, COUNT(*) AS count FROM users
+     WHERE is_bot = 0 GROUP BY language ORDER BY count DESC LIMIT 5`
+  );
+  const commands = await dbAll(
+    `SELECT command, SUM(count) AS total, SUM(CASE WHEN result = 'ok' THEN count ELSE 0 END) AS ok
+     FROM command_usage WHERE day >= date('now', ?)
+     GROUP BY command ORDER BY total DESC`,
+    [`-${days - 1} days`]
+  );
+  const daily = await dbAll(
+    `SELECT day, SUM(count) AS total FROM command_usage WHERE day >= date('now', ?)
+     GROUP BY day ORDER BY day`,
+    [`-${days - 1} days`]
+  );
+  
+  return { users, groups: groups.total, languages, commands, daily };
+}
+
+// Broadcast recipients: private chats of users (or groups) that haven't blocked the bot
+async function getBroadcastRecipients(segment) {
+  await ensureDB();
+  
+  if (segment.type === 'groups') {
+    const rows = await dbAll(
+      `SELECT chat_id FROM chats
+       WHERE type IN ('group', 'supergroup') AND chat_id NOT IN (SELECT chat_id FROM blocked_chats)`
+    );
+    return rows.map(row => row.chat_id);
+  }
+  
+  const conditions = ['u.is_bot = 0', 'u.user_id NOT IN (SELECT chat_id FROM blocked_chats)'];
+  const params = [];
+  
+  if (segment.type === 'active') {
+    conditions.push(`u.last_seen_at >= datetime('now', ?)`);
+    params.push(`-${BROADCAST_ACTIVE_DAYS} days`);
+  } else if (segment.type === 'lang') {
+    conditions.push('u.language_code LIKE ?');
+    params.push(`${segment.language}%`);
+  }
+  
+  const rows = await dbAll(
+    `SELECT u.user_id FROM users u
+     JOIN chats c ON c.chat_id = u.user_id AND c.type = 'private'
+     WHERE ${conditions.join(' AND ')}`,
+    params
+  );
+  return rows.map(row => row.user_id);
+}
+
+// Restore blocked chats into the delivery layer after a restart
+async function loadBlockedChats() {
+  await ensureDB();
+  return new Promise((resolve, reject) => {
+    db.all('SELECT chat_id FROM blocked_chats', [], (err, rows) => {
+      if (err) {
+        reject(err);
+      } else {
+        rows.forEach(row => delivery.markBlocked(row.chat_id));
+        resolve(rows.length);
+      }
+    });
+  });
+}
+
+// =============================================================================
+// TELEGRAM COMMAND HANDLERS
+// =============================================================================
+
+// Each command declares its name, description, arguments, scope and handler.
+// /help and the Telegram command menus are generated from this list.
+const COMMANDS = [
+  {
+    name: 'start',
+    description: 'Show main menu',
+    handler: ctx => handleStartCommand(ctx.chatId, ctx.userId)
+  },
+  {
+    name: 'help',
+    description: 'Show this help',
+    handler: ctx => handleHelpCommand(ctx.msg)
+  },
+  {
+    name: 'top',
+    description: 'Top tokens by market cap',
+    handler: ctx => handleTopCommand(ctx.chatId, ctx.userId)
+  },
+  {
+    name: 'list',
+    description: 'Show a named token list',
+    args: [{ name: 'name', type: 'word', parse: parseListName, hint: Object.keys(LIST_PROFILES.lists).join(', ') }],
+    handler: ctx => (ctx.args.name ?
+      handleTopCommand(ctx.chatId, ctx.userId, ctx.args.name) :
+      handleListsOverview(ctx.chatId, ctx.userId))
+  },
+  {
+    name: 'token',
+    description: 'Show token card',
+    args: [{ name: 'mint', type: 'mint', required: true }],
+    handler: ctx => handleTokenCommand(ctx.chatId, ctx.userId, ctx.args.mint)
+  },
+  {
+    name: 'watch',
+    description: 'Add token to your watchlist',
+    args: [{ name: 'mint', type: 'mint', required: true }],
+    handler: ctx => handleWatchCommand(ctx.chatId, ctx.userId, ctx.args.mint)
+  },
+  {
+    name: 'unwatch',
+    description: 'Remove token from your watchlist',
+    args: [{ name: 'mint', type: 'mint', required: true }],
+    handler: ctx => handleUnwatchCommand(ctx.chatId, ctx.userId, ctx.args.mint)
+  },
+  {
+    name: 'watchlist',
+    description: 'Show your watchlist',
+    handler: ctx => handleWatchlistCommand(ctx.chatId, ctx.userId)
+  },
+  {
+    name: 'alert',
+    description: 'Set a price / market cap alert',
+    args: [
+      { name: 'mint', type: 'mint', required: true },
+      { name: 'condition', type: 'text', required: true, parse: parseAlertCondition, hint: 'mc|price >|<|>=|<= <value>, e.g. mc > 1000000' }
+    ],
+    handler: ctx => handleAlertCommand(ctx.chatId, ctx.userId, ctx.args.mint, ctx.args.condition)
+  },
+  {
+    name: 'alerts',
+    description: 'List your alerts',
+    handler: ctx => handleAlertsCommand(ctx.chatId, ctx.userId)
+  },
+  {
+    name: 'delalert',
+    description: 'Delete an alert',
+    args: [{ name: 'id', type: 'int', required: true }],
+    handler: ctx => handleDeleteAlertCommand(ctx.chatId, ctx.userId, ctx.args.id)
+  },
+  {
+    name: 'subscribe',
+    description: 'Get pushes for newly listed tokens',
+    args: [
+      { name: 'topic', type: 'enum', values: ['new'] },
+      { name: 'filters', type: 'text', parse: parseSubscriptionFilters, hint: 'safe, any or mc>50k' }
+    ],
+    handler: ctx => handleSubscribeCommand(ctx.msg, ctx.args.topic, ctx.args.filters)
+  },
+  {
+    name: 'unsubscribe',
+    description: 'Stop new token pushes',
+    args: [{ name: 'topic', type: 'enum', values: ['new'], required: true }],
+    handler: ctx => handleUnsubscribeCommand(ctx.msg, ctx.args.topic)
+  },
+  {
+    name: 'autodetect',
+    description: 'Reply to pasted token addresses',
+    args: [{ name: 'mode', type: 'enum', values: ['on', 'off'] }],
+    handler: ctx => handleAutoDetectCommand(ctx.msg, ctx.args.mode)
+  },
+  {
+    name: 'test',
+    description: 'Test functionality',
+    scope: 'private',
+    handler: ctx => handleTestCommand(ctx.chatId, ctx.userId)
+  },
+  {
+    name: 'admin',
+    description: 'Operator tools: refresh, info, stats, cleanup, webhook, usage',
+    scope: 'admin',
+    args: [{ name: 'action', type: 'enum', values: ['refresh', 'info', 'stats', 'cleanup', 'webhook', 'usage'], required: true }],
+    handler: ctx => handleAdminCommand(ctx.chatId, ctx.userId, ctx.args.action)
+  },
+  {
+    name: 'broadcast',
+    description: 'Message all users or a segment',
+    scope: 'admin',
+    args: [
+      { name: 'segment', type: 'word', required: true, parse: parseBroadcastSegment, hint: 'all, active, groups or lang:<code>' },
+      { name: 'message', type: 'text', required: true }
+    ],
+    handler: ctx => handleBroadcastCommand(ctx.msg, ctx.args.segment)
+  }
+];
+
+function isBotAdmin(userId) {
+  return ADMIN_IDS.includes(userId);
+}
+
+async function handleMessage(msg) {
+  const text = msg.text || msg.caption;
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  console.log(`📨 Processing message from user ${userId}: ${text}`);
+  
+  // A chat that writes to us again has unblocked the bot
+  if (delivery.isBlocked(chatId)) {
+    delivery.markUnblocked(chatId);
+    clearChatBlocked(chatId).catch(error =>
+      console.error(`❌ Error unblocking chat ${chatId}:`, error.message)
+    );
+  }
+  
+  if (!text) return;
+  
+  if (!text.startsWith('/')) {
+    handleAddressDetection(msg, text);
+    return;
+  }
+  
+  const parsed = parseCommand(text, botUsername);
+  
+  // "/cmd@otherbot" in a group is not for us
+  if (!parsed || parsed.forOtherBot) return;
+  
+  const context = { chatType: msg.chat.type, isAdmin: isBotAdmin(userId) };
+  const command = COMMANDS.find(c => c.name === parsed.name);
+  
+  if (!command || (command.scope === 'admin' && !context.isAdmin)) {
+    // In groups only answer unknown commands explicitly addressed to us
+    if (msg.chat.type === 'private' || parsed.mention) {
+      handleUnknownCommand(chatId, userId, text);
+    }
+    countCommand('unknown', 'unknown', userId);
+    return;
+  }
+  
+  try {
+    if (!isCommandAllowed(command, context)) {
+      countCommand(command.name, 'not_allowed', userId);
+      await delivery.sendMessage(chatId, command.scope === 'private' ?
+        '🔒 This command only works in a private chat with the bot.' :
+        '👥 This command only works in groups.'
+      );
+      return;
+    }
+    
+    const { args, error } = parseArgs(command, parsed.rawArgs);
+    if (error) {
+      countCommand(command.name, 'invalid_args', userId);
+      await delivery.sendMessage(chatId, `❌ ${error}\n❓ Usage: ${formatUsage(command)}`);
+      return;
+    }
+    
+    await command.handler({ msg, chatId, userId, args });
+    countCommand(command.name, 'ok', userId);
+  } catch (error) {
+    countCommand(command.name, 'error', userId);
+    console.error(`❌ Error handling /${command.name} from user ${userId}:`, error);
+  }
+}
+
+// Prometheus counter plus the persisted daily usage
+function countCommand(command, result, userId) {
+  telegramCommands.inc({ command, result });
+  recordCommandUsage(command, result, userId).catch(error =>
+    console.error(`❌ Error recording usage of /${command}:`, error.message)
+  );
+}
+
+// The bot was blocked / unblocked in a private chat, or removed from / added to a group
+async function handleMyChatMember(update) {
+  const chatId = update.chat.id;
+  const status = update.new_chat_member.status;
+  
+  try {
+    if (status === 'kicked' || status === 'left') {
+      console.log(`🚫 Bot ${status === 'kicked' ? 'blocked' : 'removed'} in chat ${chatId}`);
+      delivery.markBlocked(chatId);
+      await setChatBlocked(chatId, `Bot ${status} by user ${update.from.id}`);
+    } else if (status === 'member' || status === 'administrator') {
+      if (delivery.isBlocked(chatId)) {
+        console.log(`✅ Bot unblocked in chat ${chatId}`);
+      }
+      delivery.markUnblocked(chatId);
+      await clearChatBlocked(chatId);
+    }
+  } catch (error) {
+    console.error(`❌ Error updating blocked status for chat ${chatId}:`, error.message);
+  }
+}
+
+async function handleStartCommand(chatId, userId) {
+  console.log(`🚀 /start command from user ${userId}`);
+  
+  const keyboard = {
+    inline_keyboard: [
+      [
+        { text: '🏆 Top Tokens', callback_data: 'top:0:mc' }
+      ],
+      [
+        { text: '🧪 Test Buttons', callback_data: 'menu:test' }
+      ],
+      [
+        { text: '❓ Help', callback_data: 'menu:help' }
+      ]
+    ]
+  };
+  
+  try {
+    await delivery.sendMessage(chatId, 
+      '🤖 Welcome to SolTools Test Bot!\n\n' +
+      'This bot is for testing functionality only.',
+      { reply_markup: keyboard }
+    );
+    
+    // Show the first page of the top list instead of dumping every cached token
+    await handleTopCommand(chatId, userId);
+    
+    console.log(`✅ /start response sent to user ${userId}`);
+    
+  } catch (error) {
+    console.error(`❌ Error sending /start response to user ${userId}:`, error);
+  }
+}
+
+// /top shows the default list, /list <name> a named one
+async function handleTopCommand(chatId, userId, listName = null) {
+  console.log(`🏆 ${listName ? `/list ${listName}` : '/top'} command from user ${userId}`);
+  
+  try {
+    const enrichedData = await getEnrichedTokens(listName || undefined);
+    
+    if (!enrichedData || !enrichedData.tokens || enrichedData.tokens.length === 0) {
+      await delivery.sendMessage(chatId, 
+        '📊 No token data available at the moment. Please try again later.'
+      );
+      return;
+    }
+    
+    const page = buildTopPage(enrichedData, 0, 'mc', listName);
+    await delivery.sendMessage(chatId, page.text, {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: page.keyboard
+    });
+  } catch (error) {
+    console.error(`❌ Error sending /top to user ${userId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not load token list. Please try again later.');
+  }
+}
+
+function parseListName(value) {
+  const name = value.toLowerCase();
+  return Object.hasOwn(LIST_PROFILES.lists, name) ? name : null;
+}
+
+// /list without a name: every configured list with its criteria
+async function handleListsOverview(chatId, userId) {
+  console.log(`📋 /list command from user ${userId}`);
+  
+  const names = Object.keys(LIST_PROFILES.lists);
+  let text = '📋 <b>Token Lists</b>\n\n';
+  names.forEach(name => {
+    text += `<b>${escapeHtml(name)}</b>${name === LIST_PROFILES.default ? ' (/top)' : ''}\n`;
+    text += `${escapeHtml(describeListRules(LIST_PROFILES.lists[name]))}\n\n`;
+  });
+  text += 'Open one with /list &lt;name&gt;';
+  
+  await delivery.sendMessage(chatId, text, {
+    parse_mode: 'HTML',
+    reply_markup: {
+      inline_keyboard: names.map(name => [{ text: `📋 ${name}`, callback_data: `top:0:mc:${name}` }])
+    }
+  });
+}
+
+// Render one page of the enriched token list; page/sort (and list name for /list) live in the callback data
+function buildTopPage(enrichedData, page, sort, listName = null) {
+  const sortKey = TOP_SORTS[sort] ? sort : 'mc';
+  const tokens = [...enrichedData.tokens].sort(TOP_SORTS[sortKey].compare);
+  const totalPages = Math.max(1, Math.ceil(tokens.length / TOP_PAGE_SIZE));
+  const currentPage = Math.min(Math.max(0, page), totalPages - 1);
+  const start = currentPage * TOP_PAGE_SIZE;
+  
+  const listSuffix = listName ? `:${listName}` : '';
+  
+  let text = listName ?
+    `📋 <b>${escapeHtml(listName)}</b> list (by ${TOP_SORTS[sortKey].title})\n\n` :
+    `🏆 <b>Top Solana Tokens</b> (by ${TOP_SORTS[sortKey].title})\n\n`;
+  
+  tokens.slice(start, start + TOP_PAGE_SIZE).forEach((token, index) => {
+    text += `${start + index + 1}. <b>${escapeHtml(token.name)}</b> ($${escapeHtml(token.ticker)})\n`;
+    text += `   💵 ${formatPrice(token.price)} | 📊 ${formatUsd(token.marketCap)}\n`;
+    text += `   <code>${escapeHtml(token.tokenAddress)}</code>\n`;
+  });
+  
+  text += `\n📄 Page ${currentPage + 1}/${totalPages} · ${tokens.length} tokens\n`;
+  if (enrichedData.truncated) {
+    text += '✂️ Partial: the last run stopped before checking every profile\n';
+  }
+  text += `🕐 Last updated: ${new Date(enrichedData.timestamp).toLocaleString()}`;
+  
+  const navRow = [];
+  if (currentPage > 0) {
+    navRow.push({ text: '◀️', callback_data: `top:${currentPage - 1}:${sortKey}${listSuffix}` });
+  }
+  if (currentPage < totalPages - 1) {
+    navRow.push({ text: '▶️', callback_data: `top:${currentPage + 1}:${sortKey}${listSuffix}` });
+  }
+  
+  const sortRow = Object.entries(TOP_SORTS).map(([key, option]) => ({
+    text: key === sortKey ? `✅ ${option.label}` : option.label,
+    callback_data: `top:0:${key}${listSuffix}`
+  }));
+  
+  return {
+    text,
+    keyboard: { inline_keyboard: [navRow, sortRow].filter(row => row.length > 0) }
+  };
+}
+
+function handleHelpCommand(msg) {
+  console.log(`❓ /help command from user ${msg.from.id}`);
+  
+  return delivery.sendMessage(msg.chat.id, buildHelpText(COMMANDS, {
+    chatType: msg.chat.type,
+    isAdmin: isBotAdmin(msg.from.id)
+  }));
+}
+
+function handleTestCommand(chatId, userId) {
+  console.log(`🧪 /test command from user ${userId}`);
+  
+  const testKeyboard = {
+    inline_keyboard: [
+      [
+        { text: '✅ Test 1', callback_data: 'test:1' },
+        { text: '✅ Test 2', callback_data: 'test:2' }
+      ],
+      [
+        { text: '✅ Test 3', callback_data: 'test:3' },
+        { text: '✅ Test 4', callback_data: 'test:4' }
+      ],
+      [
+        { text: '🔙 Back to Main', callback_data: 'menu:main' }
+      ]
+    ]
+  };
+  
+  return delivery.sendMessage(chatId,
+    '🧪 **Test Menu**\n\n' +
+    'Click any test button to verify functionality:',
+    { reply_markup: testKeyboard }
+  );
+}
+
+async function handleTokenCommand(chatId, userId, mint) {
+  console.log(`🪙 /token command from user ${userId}: ${mint}`);
+  
+  try {
+    await bot.sendChatAction(chatId, 'typing');
+    
+    const token = await getTokenDetails(mint);
+    
+    if (!token) {
+      await delivery.sendMessage(chatId, '📊 No data found for this token. Please check the address and try again.');
+      return;
+    }
+    
+    await delivery.sendMessage(chatId, formatTokenCard(token), {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+    
+    console.log(`✅ Sent token card for ${mint} to user ${userId}`);
+  } catch (error) {
+    console.error(`❌ Error handling /token for ${mint}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not load token data. Please try again later.');
+  }
+}
+
+async function handleWatchCommand(chatId, userId, mint) {
+  console.log(`👀 /watch command from user ${userId}: ${mint}`);
+  
+  try {
+    const token = await getTokenDetails(mint);
+    
+    if (!token) {
+      await delivery.sendMessage(chatId, '📊 No data found for this token. Please check the address and try again.');
+      return;
+    }
+    
+    const status = await addToWatchlist(userId, token);
+    
+    if (status === 'exists') {
+      await delivery.sendMessage(chatId, `👀 ${token.name} ($${token.ticker}) is already on your watchlist.`);
+      return;
+    }
+    
+    if (status === 'limit') {
+      await delivery.sendMessage(chatId, `⚠️ Your watchlist is full (max ${MAX_WATCHLIST_TOKENS} tokens). Remove one with /unwatch first.`);
+      return;
+    }
+    
+    await delivery.sendMessage(chatId,
+      `✅ Added <b>${escapeHtml(token.name)}</b> ($${escapeHtml(token.ticker)}) to your watchlist\n` +
+      `💵 ${formatPrice(token.price)} | 📊 ${formatUsd(token.marketCap)}`,
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    console.error(`❌ Error handling /watch for ${mint}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not update your watchlist. Please try again later.');
+  }
+}
+
+async function handleUnwatchCommand(chatId, userId, mint) {
+  console.log(`🙈 /unwatch command from user ${userId}: ${mint}`);
+  
+  try {
+    const removed = await removeFromWatchlist(userId, mint);
+    await delivery.sendMessage(chatId, removed ?
+      '✅ Removed from your watchlist.' :
+      '❓ That token is not on your watchlist.'
+    );
+  } catch (error) {
+    console.error(`❌ Error handling /unwatch for ${mint}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not update your watchlist. Please try again later.');
+  }
+}
+
+async function handleWatchlistCommand(chatId, userId) {
+  console.log(`📋 /watchlist command from user ${userId}`);
+  
+  try {
+    const rows = await getWatchlist(userId);
+    
+    if (rows.length === 0) {
+      await delivery.sendMessage(chatId, '👀 Your watchlist is empty. Add tokens with /watch <mint>.');
+      return;
+    }
+    
+    // Current data comes from the enrichment cache; tokens added since the last run are looked up
+    const [trackedData, enrichedData] = await Promise.all([getTrackedTokens(), getEnrichedTokens()]);
+    const current = new Map();
+    [...(enrichedData?.tokens || []), ...(trackedData?.tokens || [])]
+      .forEach(token => current.set(token.tokenAddress, token));
+    
+    let text = `👀 <b>Your Watchlist</b> (${rows.length})\n\n`;
+    
+    for (const [index, row] of rows.entries()) {
+      const token = current.get(row.token_address) || await getTokenDetails(row.token_address);
+      const name = token?.name || row.name || 'Unknown';
+      const ticker = token?.ticker || row.ticker || 'N/A';
+      
+      text += `${index + 1}. <b>${escapeHtml(name)}</b> ($${escapeHtml(ticker)})\n`;
+      if (token) {
+        text += `   💵 ${formatPrice(token.price)} | 📊 ${formatUsd(token.marketCap)} | ${formatChange(row.added_price, token.price)}\n`;
+      } else {
+        text += '   ⚠️ No current data\n';
+      }
+      text += `   <code>${escapeHtml(row.token_address)}</code>\n`;
+    }
+    
+    text += '\n📈 Change is measured from the price when the token was added.';
+    
+    await delivery.sendMessage(chatId, text, {
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    });
+  } catch (error) {
+    console.error(`❌ Error handling /watchlist for user ${userId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not load your watchlist. Please try again later.');
+  }
+}
+
+async function handleAlertCommand(chatId, userId, mint, condition) {
+  console.log(`🔔 /alert command from user ${userId}: ${mint} ${describeCondition(condition)}`);
+  
+  try {
+    const token = await getTokenDetails(mint);
+    
+    if (!token) {
+      await delivery.sendMessage(chatId, '📊 No data found for this token. Please check the address and try again.');
+      return;
+    }
+    
+    const alertId = await addAlert(userId, token, condition);
+    
+    if (!alertId) {
+      await delivery.sendMessage(chatId, `⚠️ You already have ${MAX_ALERTS_PER_USER} alerts. Delete one with /delalert first.`);
+      return;
+    }
+    
+    const current = condition.metric === 'price' ?
+      formatPrice(getMetricValue(condition, token)) :
+      formatUsd(getMetricValue(condition, token));
+    
+    await delivery.sendMessage(chatId,
+      `✅ Alert #${alertId} set for <b>${escapeHtml(token.name)}</b> ($${escapeHtml(token.ticker)})\n` +
+      `🔔 ${escapeHtml(describeCondition(condition))}\n` +
+      `📍 Current: ${current}\n\n` +
+      'You will get a DM when the condition is met. Make sure you have started a private chat with the bot.',
+      { parse_mode: 'HTML' }
+    );
+  } catch (error) {
+    console.error(`❌ Error handling /alert for ${mint}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not create the alert. Please try again later.');
+  }
+}
+
+async function handleAlertsCommand(chatId, userId) {
+  console.log(`🔔 /alerts command from user ${userId}`);
+  
+  try {
+    const alerts = await getAlerts(userId);
+    
+    if (alerts.length === 0) {
+      await delivery.sendMessage(chatId, '🔕 You have no alerts. Create one with /alert <mint> mc > 1000000.');
+      return;
+    }
+    
+    let text = `🔔 <b>Your Alerts</b> (${alerts.length})\n\n`;
+    alerts.forEach(alert => {
+      text += `#${alert.id} <b>${escapeHtml(alert.name || 'Unknown')}</b> ($${escapeHtml(alert.ticker || 'N/A')})\n`;
+      text += `   ${escapeHtml(describeCondition(alert))} ${alert.triggered ? '· ✅ triggered' : '· ⏳ armed'}\n`;
+    });
+    text += '\nDelete an alert with /delalert <id>.';
+    
+    await delivery.sendMessage(chatId, text, { parse_mode: 'HTML' });
+  } catch (error) {
+    console.error(`❌ Error handling /alerts for user ${userId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not load your alerts. Please try again later.');
+  }
+}
+
+async function handleDeleteAlertCommand(chatId, userId, alertId) {
+  console.log(`🔕 /delalert command from user ${userId}: ${alertId}`);
+  
+  try {
+    const removed = await removeAlert(userId, alertId);
+    await delivery.sendMessage(chatId, removed ?
+      `✅ Alert #${alertId} deleted.` :
+      `❓ Alert #${alertId} not found.`
+    );
+  } catch (error) {
+    console.error(`❌ Error handling /delalert for user ${userId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not delete the alert. Please try again later.');
+  }
+}
+
+// Reply with token cards for mint addresses pasted in plain messages
+async function handleAddressDetection(msg, text) {
+  const chatId = msg.chat.id;
+  
+  // Ignore bots and our own inline results
+  if (msg.from?.is_bot || msg.via_bot) return;
+  
+  const mints = extractMintAddresses(text).slice(0, AUTO_DETECT_MAX_PER_MESSAGE);
+  if (mints.length === 0) return;
+  
+  try {
+    const settings = await getChatSettings(chatId);
+    if (!settings.autoDetect) return;
+    
+    const now = Date.now();
+    
+    // Drop expired dedupe entries
+    for (const [key, seenAt] of recentDetections) {
+      if (now - seenAt > AUTO_DETECT_DEDUPE_MS) recentDetections.delete(key);
+    }
+    
+    for (const mint of mints) {
+      const dedupeKey = `${chatId}:${mint}`;
+      if (recentDetections.has(dedupeKey)) {
+        console.log(`⏭️  Skipping ${mint} in chat ${chatId} (already answered)`);
+        continue;
+      }
+      recentDetections.set(dedupeKey, now);
+      
+      console.log(`🔎 Detected address ${mint} in chat ${chatId}`);
+      const token = await getTokenDetails(mint);
+      
+      // Stay quiet for addresses that aren't tokens (wallets, pairs, ...)
+      if (!token) continue;
+      
+      await delivery.sendMessage(chatId, formatTokenCard(token), {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_to_message_id: msg.message_id
       });
-    });
+    }
+  } catch (error) {
+    console.error(`❌ Error handling address detection in chat ${chatId}:`, error);
   }
 }
 
-// Get data from SQLite
-function dbGet(table, key) {
-  return new Promise((resolve, reject) => {
-    db.get(
-      `SELECT data FROM ${table} WHERE key_name = ? AND (expires_at IS NULL OR expires_at > datetime('now'))`,
-      [key],
-      (err, row) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(row ? JSON.parse(row.data) : null);
-        }
-      }
-    );
-  });
+async function handleAutoDetectCommand(msg, mode) {
+  const chatId = msg.chat.id;
+  const userId = msg.from.id;
+  
+  console.log(`🔎 /autodetect command from user ${userId}: ${mode}`);
+  
+  try {
+    if (!mode) {
+      const settings = await getChatSettings(chatId);
+      await delivery.sendMessage(chatId,
+        `🔎 Address detection is ${settings.autoDetect ? 'ON' : 'OFF'} in this chat.\n` +
+        'Usage: /autodetect on|off'
+      );
+      return;
+    }
+    
+    if (!(await isChatAdmin(msg))) {
+      await delivery.sendMessage(chatId, '⛔ Only chat admins can change this setting.');
+      return;
+    }
+    
+    await setChatAutoDetect(chatId, mode === 'on');
+    await delivery.sendMessage(chatId, `✅ Address detection turned ${mode.toUpperCase()} for this chat.`);
+  } catch (error) {
+    console.error(`❌ Error handling /autodetect in chat ${chatId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not update chat settings. Please try again later.');
+  }
 }
 
+// Parse "/subscribe new [safe|any] [mc>50k]" filter arguments
+function parseSubscriptionFilters(args) {
+  const filters = { safeOnly: true, minMarketCap: 0 };
+  
+  for (const arg of args) {
+    const mcMatch = /^mc>=?(.+)$/i.exec(arg);
+    if (arg === 'safe') {
+      filters.safeOnly = true;
+    } else if (arg === 'any') {
+      filters.safeOnly = false;
+    } else if (mcMatch && parseThreshold(mcMatch[1]) !== null) {
+      filters.minMarketCap = parseThreshold(mcMatch[1]);
+    } else {
+      return null;
+    }
+  }
+  
+  return filters;
+}
 
+function describeSubscriptionFilters(filters) {
+  const parts = [filters.safeOnly ? 'not mintable/freezable, no risky extensions' : 'any authority status'];
+  if (filters.minMarketCap) parts.push(`MC ≥ ${formatUsd(filters.minMarketCap)}`);
+  return parts.join(', ');
+}
 
-// =============================================================================
-// TELEGRAM COMMAND HANDLERS
-// =============================================================================
-
-function handleMessage(msg) {
-  const text = msg.text;
+async function handleSubscribeCommand(msg, topic, filters = { safeOnly: true, minMarketCap: 0 }) {
   const chatId = msg.chat.id;
-  const userId = msg.from.id;
   
-  console.log(`📨 Processing message from user ${userId}: ${text}`);
+  console.log(`📬 /subscribe command from user ${msg.from.id}: ${topic || ''}`);
   
-  // Handle commands
-  if (text === '/start') {
-    handleStartCommand(chatId, userId);
-  } else if (text === '/help') {
-    handleHelpCommand(chatId, userId);
-  } else if (text === '/test') {
-    handleTestCommand(chatId, userId);
-  } else if (text && text.startsWith('/')) {
-    handleUnknownCommand(chatId, userId, text);
+  try {
+    if (!topic) {
+      const subscription = await getChatSubscription(chatId, 'new');
+      await delivery.sendMessage(chatId,
+        '❓ Usage: /subscribe new [safe|any] [mc>50k]\n\n' +
+        '• safe - only tokens that are not mintable/freezable and have no risky Token-2022 extensions (default)\n' +
+        '• any - include mintable/freezable tokens\n' +
+        '• mc>50k - minimum market cap\n\n' +
+        (subscription ?
+          `📬 This chat is subscribed to new tokens (${describeSubscriptionFilters(subscription.filters)}).` :
+          '📭 This chat is not subscribed to new tokens.')
+      );
+      return;
+    }
+    
+    if (!(await isChatAdmin(msg))) {
+      await delivery.sendMessage(chatId, '⛔ Only chat admins can change subscriptions.');
+      return;
+    }
+    
+    await addSubscription(chatId, 'new', filters);
+    await delivery.sendMessage(chatId, `📬 Subscribed to new tokens (${describeSubscriptionFilters(filters)}).`);
+  } catch (error) {
+    console.error(`❌ Error handling /subscribe in chat ${chatId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not update the subscription. Please try again later.');
   }
 }
 
-async function handleStartCommand(chatId, userId) {
-  console.log(`🚀 /start command from user ${userId}`);
+async function handleUnsubscribeCommand(msg, topic) {
+  const chatId = msg.chat.id;
+  
+  console.log(`📭 /unsubscribe command from user ${msg.from.id}: ${topic}`);
   
   try {
-    // Get all basic tokens from cache (all tokens from DexScreener)
-    const basicData = await getCachedSolanaTokens();
-    
-    // Send welcome message
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '🧪 Test Buttons', callback_data: 'test_menu' }
-        ],
-        [
-          { text: '❓ Help', callback_data: 'help_menu' }
-        ]
-      ]
-    };
+    if (!(await isChatAdmin(msg))) {
+      await delivery.sendMessage(chatId, '⛔ Only chat admins can change subscriptions.');
+      return;
+    }
     
-    await bot.sendMessage(chatId, 
-      '🤖 Welcome to SolTools Test Bot!\n\n' +
-      'This bot is for testing functionality only.',
-      { reply_markup: keyboard }
+    const removed = await removeSubscription(chatId, 'new');
+    await delivery.sendMessage(chatId, removed ?
+      '📭 Unsubscribed from new tokens.' :
+      '❓ This chat is not subscribed to new tokens.'
     );
+  } catch (error) {
+    console.error(`❌ Error handling /unsubscribe in chat ${chatId}:`, error);
+    await delivery.sendMessage(chatId, '❌ Could not update the subscription. Please try again later.');
+  }
+}
+
+// Private chats are always "admin"; in groups check the member status
+async function isChatAdmin(msg) {
+  if (msg.chat.type === 'private') return true;
+  
+  const member = await bot.getChatMember(msg.chat.id, msg.from.id);
+  return ['creator', 'administrator'].includes(member.status);
+}
+
+function handleUnknownCommand(chatId, userId, text) {
+  console.log(`❓ Unknown command: ${text} from user ${userId}`);
+  delivery.sendMessage(chatId, '❓ Unknown command. Use /help to see available commands.');
+}
+
+// Push the generated command menus to Telegram and learn our @username
+async function syncBotCommands() {
+  try {
+    const me = await bot.getMe();
+    botUsername = me.username;
     
-    // Send all tokens in one message
-    if (basicData && basicData.tokens && basicData.tokens.length > 0) {
-      const tokens = basicData.tokens;
-      
-      if (tokens.length > 0) {
-        // Build the message with all tokens
-        let message = '🏆 **All Cached Solana Tokens:**\n\n';
-        
-        tokens.forEach((token, index) => {
-          const rank = index + 1;
-          const name = token.description ? token.description.substring(0, 40) : 'Unknown';
-          const address = token.tokenAddress ? token.tokenAddress.substring(0, 8) + '...' : 'N/A';
-          
-          message += `${rank}. **${name}** - ${address}\n`;
-        });
+    await bot.setMyCommands(buildMenuCommands(COMMANDS, 'private'), { scope: { type: 'all_private_chats' } });
+    await bot.setMyCommands(buildMenuCommands(COMMANDS, 'group'), { scope: { type: 'all_group_chats' } });
+    
+    // Admins see every command in their private chat with the bot
+    for (const adminId of ADMIN_IDS) {
+      await bot.setMyCommands(buildMenuCommands(COMMANDS, 'admin'), { scope: { type: 'chat', chat_id: adminId } })
+        .catch(error => console.error(`❌ Error setting admin commands for ${adminId}:`, error.message));
+    }
+    
+    console.log(`📋 Synced ${COMMANDS.length} commands for @${botUsername}`);
+  } catch (error) {
+    console.error('❌ Error syncing bot commands:', error.message);
+  }
+}
+
+// =============================================================================
+// ADMIN COMMANDS
+// =============================================================================
+
+// Only reachable by ADMIN_IDS (scope 'admin'); info / stats / cleanup share the CLI implementations
+async function handleAdminCommand(chatId, userId, action) {
+  console.log(`🛠️  /admin ${action} from user ${userId}`);
+  
+  try {
+    switch (action) {
+      case 'refresh':
+        await handleAdminRefresh(chatId);
+        break;
         
-        message += `\n📊 Total: ${tokens.length} tokens\n`;
-        message += `🕐 Last updated: ${new Date(basicData.timestamp).toLocaleString()}`;
+      case 'info':
+        await delivery.sendMessage(chatId, (await getCacheInfoReport()).join('\n'));
+        break;
         
-        // Send the complete message
-        await bot.sendMessage(chatId, message, { 
-          parse_mode: 'Markdown',
-          disable_web_page_preview: true // Prevent link previews
-        });
+      case 'stats':
+        await delivery.sendMessage(chatId, (await getStatsReport()).join('\n'));
+        break;
         
-        console.log(`✅ Sent ${tokens.length} tokens to user ${userId}`);
-      } else {
-        await bot.sendMessage(chatId, 
-          '📊 No tokens found in cache. Please try again later.'
+      case 'cleanup': {
+        const removed = await cleanupExpiredRecords();
+        await delivery.sendMessage(chatId,
+          `🧹 Cleanup completed\n\n` +
+          `Basic tokens removed: ${removed.basic}\n` +
+          `Enriched tokens removed: ${removed.enriched}`
         );
+        break;
       }
-    } else {
-      await bot.sendMessage(chatId, 
-        '📊 No token data available at the moment. Please try again later.'
-      );
+        
+      case 'webhook':
+        await delivery.sendMessage(chatId, formatWebhookInfo(await bot.getWebHookInfo()));
+        break;
+        
+      case 'usage':
+        await delivery.sendMessage(chatId, formatUsageReport(await getUsageReport(7), 7));
+        break;
     }
-    
-    console.log(`✅ /start response sent to user ${userId}`);
-    
   } catch (error) {
-    console.error(`❌ Error sending /start response to user ${userId}:`, error);
+    console.error(`❌ Error handling /admin ${action}:`, error);
+    await delivery.sendMessage(chatId, `❌ /admin ${action} failed: ${error.message}`);
+  }
+}
+
+// Run the fetch/enrich pipeline in-process and edit one status message as it progresses
+async function handleAdminRefresh(chatId) {
+  if (adminRefreshRunning) {
+    await delivery.sendMessage(chatId, '⏳ A refresh is already running.');
+    return;
+  }
+  
+  adminRefreshRunning = true;
+  
+  try {
+    const status = await delivery.sendMessage(chatId, '🔄 Refreshing cache...');
+    let lastEditAt = 0;
     
-    // Send fallback message
-    const keyboard = {
-      inline_keyboard: [
-        [
-          { text: '🧪 Test Buttons', callback_data: 'test_menu' }
-        ],
-        [
-          { text: '❓ Help', callback_data: 'help_menu' }
-        ]
-      ]
+    const editStatus = async (text, force = false) => {
+      if (!force && Date.now() - lastEditAt < ADMIN_PROGRESS_EDIT_INTERVAL) return;
+      lastEditAt = Date.now();
+      
+      try {
+        await delivery.editMessageText(text, { chat_id: chatId, message_id: status.message_id });
+      } catch (error) {
+        if (!/message is not modified/.test(error.message)) {
+          console.error('❌ Error editing refresh progress:', error.message);
+        }
+      }
     };
     
-    await bot.sendMessage(chatId, 
-      '🤖 Welcome to SolTools Test Bot!\n\n' +
-      'This bot is for testing functionality only.',
-      { reply_markup: keyboard }
+    const summary = await fetchEnrichAndCache(null, {
+      onProgress: async (update) => {
+        if (update.stage === 'fetch') {
+          await editStatus('🔄 Refreshing cache...\n\n🔍 Fetching token profiles from DexScreener', true);
+        } else if (update.stage === 'enrich') {
+          await editStatus(`🔄 Refreshing cache...\n\n🔬 Enriching batch ${update.batch}/${update.batches} (${update.processed} tokens)`, update.batch === 1);
+        } else if (update.stage === 'publish') {
+          await editStatus(`🔄 Refreshing cache...\n\n📤 Publishing ${update.processed} enriched tokens`, true);
+        }
+      }
+    });
+    
+    if (summary.locked) {
+      await editStatus('⏳ A refresh is already running (the scheduled cache job or another admin). Try again in a few minutes.', true);
+      return;
+    }
+    
+    if (summary.error) {
+      await editStatus(`❌ Refresh failed: ${summary.error}`, true);
+      return;
+    }
+    
+    await editStatus(
+      `✅ Cache refreshed in ${summary.durationSeconds}s\n\n` +
+      `📊 Solana tokens: ${summary.basicCount}\n` +
+      `📈 Enriched: ${summary.successCount}/${summary.processedCount}\n` +
+      `🎯 Valid: ${summary.validCount}\n` +
+      `🏆 Lists: ${Object.entries(summary.lists).map(([name, count]) => `${name} ${count}`).join(', ')}${summary.truncated ? ' (stopped early, every list full)' : ''}\n` +
+      `🔗 DexScreener: ${summary.dexscreener.calls} calls for ${summary.dexscreener.tokens} tokens (${summary.dexscreener.callsSaved} saved)\n` +
+      `🛰️ Solana RPC: ${summary.rpc.calls} calls, holders ${summary.rpc.holderLookups} looked up / ${summary.rpc.holderCacheHits} cached / ${summary.rpc.holdersSkipped} deferred`,
+      true
     );
+  } finally {
+    adminRefreshRunning = false;
   }
 }
 
-function handleHelpCommand(chatId, userId) {
-  console.log(`❓ /help command from user ${userId}`);
+function formatWebhookInfo(info) {
+  const lines = [
+    '🔗 Webhook Status',
+    '',
+    `URL: ${info.url || 'not set'}`,
+    `Pending updates: ${info.pending_update_count}`,
+    `Max connections: ${info.max_connections || 'default'}`,
+    `Allowed updates: ${info.allowed_updates?.join(', ') || 'all'}`
+  ];
   
-  bot.sendMessage(chatId,
-    '📚 **Available Commands:**\n\n' +
-    '/start - Show main menu\n' +
-    '/help - Show this help\n' +
-    '/test - Test functionality\n\n' +
-    '🧪 Use the inline buttons to test keyboard functionality!'
-  );
+  if (info.last_error_date) {
+    lines.push(`Last error: ${info.last_error_message} (${new Date(info.last_error_date * 1000).toISOString()})`);
+  } else {
+    lines.push('Last error: none');
+  }
+  
+  return lines.join('\n');
 }
 
-function handleTestCommand(chatId, userId) {
-  console.log(`🧪 /test command from user ${userId}`);
+function formatUsageReport(report, days) {
+  const { users, groups, languages, commands, daily } = report;
+  const lines = [
+    '👥 Users',
+    '',
+    `Total: ${users.total}`,
+    `Active 24h / 7d / 30d: ${users.day || 0} / ${users.week || 0} / ${users.month || 0}`,
+    `Blocked the bot: ${users.blocked || 0}`,
+    `Groups: ${groups}`,
+    `Languages: ${languages.map(l => `${l.language} ${l.count}`).join(', ') || 'none'}`,
+    '',
+    `📈 Commands (last ${days} days)`,
+    ''
+  ];
   
-  const testKeyboard = {
-    inline_keyboard: [
-      [
-        { text: '✅ Test 1', callback_data: 'test_1' },
-        { text: '✅ Test 2', callback_data: 'test_2' }
-      ],
-      [
-        { text: '✅ Test 3', callback_data: 'test_3' },
-        { text: '✅ Test 4', callback_data: 'test_4' }
-      ],
-      [
-        { text: '🔙 Back to Main', callback_data: 'main_menu' }
-      ]
-    ]
-  };
+  if (commands.length === 0) {
+    lines.push('No commands yet');
+  } else {
+    commands.forEach(c => lines.push(`/${c.command}: ${c.total} (${c.ok} ok)`));
+    lines.push('');
+    daily.forEach(d => lines.push(`${d.day}: ${d.total}`));
+  }
   
-  bot.sendMessage(chatId,
-    '🧪 **Test Menu**\n\n' +
-    'Click any test button to verify functionality:',
-    { reply_markup: testKeyboard }
-  );
+  return lines.join('\n');
 }
 
-function handleUnknownCommand(chatId, userId, text) {
-  console.log(`❓ Unknown command: ${text} from user ${userId}`);
-  bot.sendMessage(chatId, '❓ Unknown command. Use /help to see available commands.');
+// "all" | "active" | "groups" | "lang:<code>"
+function parseBroadcastSegment(value) {
+  const segment = value.toLowerCase();
+  if (segment === 'all' || segment === 'active' || segment === 'groups') {
+    return { type: segment, label: segment };
+  }
+  
+  const match = /^lang:([a-z]{2,3}(?:-[a-z]+)?)$/.exec(segment);
+  return match ? { type: 'lang', language: match[1], label: segment } : null;
+}
+
+// Send one message to every recipient in the segment, low priority and chunked so the
+// per-chat and global limits of the delivery layer apply. 403s mark the chat blocked.
+async function handleBroadcastCommand(msg, segment) {
+  const chatId = msg.chat.id;
+  // Keep the original formatting (line breaks) of everything after "/broadcast <segment>"
+  const text = (msg.text || '').replace(/^\/\S+\s+\S+\s*/, '');
+  
+  console.log(`📣 /broadcast ${segment.label} from user ${msg.from.id}`);
+  
+  if (broadcastRunning) {
+    await delivery.sendMessage(chatId, '⏳ A broadcast is already running.');
+    return;
+  }
+  
+  broadcastRunning = true;
+  
+  try {
+    const recipients = await getBroadcastRecipients(segment);
+    if (recipients.length === 0) {
+      await delivery.sendMessage(chatId, `📭 No recipients in segment "${segment.label}".`);
+      return;
+    }
+    
+    const status = await delivery.sendMessage(chatId, `📣 Broadcasting to ${recipients.length} chats (${segment.label})...`);
+    const counts = { sent: 0, blocked: 0, failed: 0 };
+    const startedAt = Date.now();
+    let lastEditAt = Date.now();
+    
+    const progressText = () =>
+      `Sent: ${counts.sent}\nBlocked: ${counts.blocked}\nFailed: ${counts.failed}\n` +
+      `Progress: ${counts.sent + counts.blocked + counts.failed}/${recipients.length}`;
+    
+    const editStatus = async (text) => {
+      lastEditAt = Date.now();
+      try {
+        await delivery.editMessageText(text, { chat_id: chatId, message_id: status.message_id });
+      } catch (error) {
+        if (!/message is not modified/.test(error.message)) {
+          console.error('❌ Error editing broadcast progress:', error.message);
+        }
+      }
+    };
+    
+    for (let i = 0; i < recipients.length; i += BROADCAST_CHUNK_SIZE) {
+      const chunk = recipients.slice(i, i + BROADCAST_CHUNK_SIZE);
+      
+      const results = await Promise.allSettled(chunk.map(recipient =>
+        delivery.sendMessage(recipient, text, {}, { priority: BROADCAST_PRIORITY })
+      ));
+      
+      results.forEach(result => {
+        if (result.status === 'fulfilled') {
+          counts.sent++;
+        } else if (isBlockedError(result.reason)) {
+          counts.blocked++;
+        } else {
+          counts.failed++;
+        }
+      });
+      
+      if (Date.now() - lastEditAt >= ADMIN_PROGRESS_EDIT_INTERVAL) {
+        await editStatus(`📣 Broadcasting (${segment.label})...\n\n${progressText()}`);
+      }
+    }
+    
+    const duration = Math.round((Date.now() - startedAt) / 1000);
+    console.log(`📣 Broadcast finished: ${counts.sent} sent, ${counts.blocked} blocked, ${counts.failed} failed in ${duration}s`);
+    await editStatus(`✅ Broadcast finished in ${duration}s (${segment.label})\n\n${progressText()}`);
+  } catch (error) {
+    console.error('❌ Error running broadcast:', error);
+    await delivery.sendMessage(chatId, `❌ Broadcast failed: ${error.message}`);
+  } finally {
+    broadcastRunning = false;
+  }
 }
 
 // =============================================================================
 // CALLBACK QUERY HANDLERS
 // =============================================================================
 
+// Callback data is namespaced as "namespace:param1:param2" so buttons keep working after restarts
+const CALLBACK_HANDLERS = {
+  top: ctx => handleTopPage(ctx.chatId, ctx.messageId, parseInt(ctx.params[0], 10) || 0, ctx.params[1], ctx.params[2]),
+  menu: ctx => {
+    switch (ctx.params[0]) {
+      case 'main': return handleMainMenu(ctx.chatId, ctx.messageId);
+      case 'help': return handleHelpMenu(ctx.chatId, ctx.messageId);
+      case 'test': return handleTestMenu(ctx.chatId, ctx.messageId);
+      default: return ctx.answer('❓ Unknown option');
+    }
+  },
+  test: ctx => handleTestButton(ctx, ctx.params[0])
+};
+
 bot.on('callback_query', async (callbackQuery) => {
-  const chatId = callbackQuery.message.chat.id;
   const userId = callbackQuery.from.id;
   const data = callbackQuery.data;
   
   console.log(`🔘 Callback query received: ${data} from user ${userId}`);
   
+  // Handlers may answer with their own text; otherwise the loading state is cleared below
+  let answered = false;
+  const answer = async (text, showAlert = false) => {
+    answered = true;
+    await bot.answerCallbackQuery(callbackQuery.id, text ? { text, show_alert: showAlert } : {});
+  };
+  
   try {
-    switch (data) {
-      case 'help_menu':
-        await handleHelpMenu(chatId, callbackQuery.message.message_id);
-        break;
-      case 'test_menu':
-        await handleTestMenu(chatId, callbackQuery.message.message_id);
-        break;
-      case 'test_1':
-      case 'test_2':
-      case 'test_3':
-      case 'test_4':
-        await handleTestButton(chatId, callbackQuery.message.message_id, callbackQuery.id, data);
-        break;
-      case 'main_menu':
-        await handleMainMenu(chatId, callbackQuery.message.message_id);
-        break;
-      default:
-        await bot.answerCallbackQuery(callbackQuery.id, { text: '❓ Unknown option' });
-        break;
+    const { namespace, params } = parseCallbackData(data);
+    const handler = Object.hasOwn(CALLBACK_HANDLERS, namespace) ? CALLBACK_HANDLERS[namespace] : null;
+    
+    if (!handler || !callbackQuery.message) {
+      await answer('❓ Unknown option');
+      return;
     }
     
-    // Answer callback query to remove loading state
-    await bot.answerCallbackQuery(callbackQuery.id);
+    await handler({
+      callbackQuery,
+      chatId: callbackQuery.message.chat.id,
+      messageId: callbackQuery.message.message_id,
+      userId,
+      params,
+      answer
+    });
+    
+    if (!answered) await answer();
     
   } catch (error) {
     console.error('Error handling callback query:', error);
-    await bot.answerCallbackQuery(callbackQuery.id, {
-      text: '❌ An error occurred. Please try again.',
-      show_alert: true
-    });
+    if (!answered) {
+      await answer('❌ An error occurred. Please try again.', true).catch(() => {});
+    }
   }
 });
 
 // Menu handlers
 async function handleHelpMenu(chatId, messageId) {
-  await bot.editMessageText(
+  await delivery.editMessageText(
     '❓ **Help Menu**\n\nUse /help to see all available commands.',
     { chat_id: chatId, message_id: messageId }
   );
 }
 
+async function handleTopPage(chatId, messageId, page, sort, listName = null) {
+  const enrichedData = await getEnrichedTokens(listName || undefined);
+  
+  if (!enrichedData || !enrichedData.tokens || enrichedData.tokens.length === 0) {
+    await delivery.editMessageText(
+      '📊 No token data available at the moment. Please try again later.',
+      { chat_id: chatId, message_id: messageId }
+    );
+    return;
+  }
+  
+  const topPage = buildTopPage(enrichedData, page, sort, listName);
+  
+  try {
+    await delivery.editMessageText(topPage.text, {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+      reply_markup: topPage.keyboard
+    });
+  } catch (error) {
+    // Pressing the active sort button re-renders identical content
+    if (!/message is not modified/.test(error.message)) throw error;
+  }
+}
+
 async function handleTestMenu(chatId, messageId) {
   const testKeyboard = {
     inline_keyboard: [
       [
-        { text: '✅ Test 1', callback_data: 'test_1' },
-        { text: '✅ Test 2', callback_data: 'test_2' }
+        { text: '✅ Test 1', callback_data: 'test:1' },
+        { text: '✅ Test 2', callback_data: 'test:2' }
       ],
       [
-        { text: '✅ Test 3', callback_data: 'test_3' },
-        { text: '✅ Test 4', callback_data: 'test_4' }
+        { text: '✅ Test 3', callback_data: 'test:3' },
+        { text: '✅ Test 4', callback_data: 'test:4' }
       ],
       [
-        { text: '🔙 Back to Main', callback_data: 'main_menu' }
+        { text: '🔙 Back to Main', callback_data: 'menu:main' }
       ]
     ]
   };
   
-  await bot.editMessageText(
+  await delivery.editMessageText(
     '🧪 **Test Menu**\n\nClick any test button to verify functionality:',
     { chat_id: chatId, message_id: messageId, reply_markup: testKeyboard }
   );
 }
 
-async function handleTestButton(chatId, messageId, callbackId, testNumber) {
-  const testNum = testNumber.split('_')[1];
-  
-  await bot.answerCallbackQuery(callbackId, { text: `✅ Test ${testNum} passed!` });
-  await bot.editMessageText(
+async function handleTestButton(ctx, testNum) {
+  await ctx.answer(`✅ Test ${testNum} passed!`);
+  await delivery.editMessageText(
     `✅ **Test ${testNum} Result**\n\nTest button ${testNum} is working correctly!`,
-    { chat_id: chatId, message_id: messageId }
+    { chat_id: ctx.chatId, message_id: ctx.messageId }
   );
 }
 
@@ -333,20 +1807,146 @@ async function handleMainMenu(chatId, messageId) {
   const mainKeyboard = {
     inline_keyboard: [
       [
-        { text: '🧪 Test Buttons', callback_data: 'test_menu' }
+        { text: '🏆 Top Tokens', callback_data: 'top:0:mc' }
+      ],
+      [
+        { text: '🧪 Test Buttons', callback_data: 'menu:test' }
       ],
       [
-        { text: '❓ Help', callback_data: 'help_menu' }
+        { text: '❓ Help', callback_data: 'menu:help' }
       ]
     ]
   };
   
-  await bot.editMessageText(
+  await delivery.editMessageText(
     '🤖 **Main Menu**\n\nChoose an option:',
     { chat_id: chatId, message_id: messageId, reply_markup: mainKeyboard }
   );
 }
 
+// =============================================================================
+// INLINE MODE
+// =============================================================================
+
+async function handleInlineQuery(inlineQuery) {
+  const query = (inlineQuery.query || '').trim();
+  const offset = parseInt(inlineQuery.offset, 10) || 0;
+  
+  console.log(`🔍 Inline query from user ${inlineQuery.from.id}: "${query}" (offset ${offset})`);
+  
+  try {
+    const { timestamp, tokens } = await searchCachedTokens(query, offset + INLINE_PAGE_SIZE + 1);
+    let pageTokens = tokens.slice(offset, offset + INLINE_PAGE_SIZE);
+    
+    // A pasted address that isn't cached gets a live lookup
+    if (pageTokens.length === 0 && offset === 0 && isValidMintAddress(query)) {
+      const token = await getTokenDetails(query);
+      if (token) pageTokens = [token];
+    }
+    
+    const results = pageTokens.map(buildInlineResult);
+    
+    // Results stay valid until the next enrichment run replaces the cache
+    const cacheAge = timestamp ? Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000) : ENRICHED_CACHE_EXPIRY;
+    const cacheTime = Math.max(INLINE_MIN_CACHE_TIME, ENRICHED_CACHE_EXPIRY - cacheAge);
+    
+    await bot.answerInlineQuery(inlineQuery.id, results, {
+      cache_time: cacheTime,
+      is_personal: false,
+      next_offset: tokens.length > offset + INLINE_PAGE_SIZE ? String(offset + INLINE_PAGE_SIZE) : ''
+    });
+  } catch (error) {
+    console.error(`❌ Error answering inline query "${query}":`, error.message);
+  }
+}
+
+function buildInlineResult(token) {
+  const title = token.name ?
+    `${token.name} ($${token.ticker})` :
+    (token.description || token.tokenAddress).substring(0, 60);
+  
+  const description = token.hasDexData === false ?
+    token.tokenAddress :
+    `💵 ${formatPrice(token.price)} | 📊 ${formatUsd(token.marketCap)}${token.mintable || token.freezable ? ' | ⚠️ authorities' : ''}${token.hasExtensionRisk ? ' | 🚨 extensions' : ''}`;
+  
+  const result = {
+    type: 'article',
+    id: token.tokenAddress,
+    title,
+    description,
+    input_message_content: {
+      message_text: formatTokenCard(token),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true
+    },
+    reply_markup: {
+      inline_keyboard: [[
+        { text: '📈 DexScreener', url: token.url || `https://dexscreener.com/solana/${token.tokenAddress}` }
+      ]]
+    }
+  };
+  
+  if (token.icon) result.thumbnail_url = token.icon;
+  
+  return result;
+}
+
+// Only delivered when inline feedback is enabled in @BotFather
+function handleChosenInlineResult(chosenResult) {
+  console.log(`✅ Inline result ${chosenResult.result_id} chosen by user ${chosenResult.from.id} for "${chosenResult.query}"`);
+}
+
+// =============================================================================
+// NOTIFICATION DISPATCHER
+// =============================================================================
+
+// Deliver messages queued in the SQLite outbox by the cache job
+async function dispatchNotifications() {
+  if (notificationsDispatching) return;
+  notificationsDispatching = true;
+  
+  try {
+    // Deliveries whose sent_at could not be saved last time are recorded, never sent again
+    for (const id of unrecordedNotifications) {
+      await markNotificationSent(id);
+      unrecordedNotifications.delete(id);
+    }
+    
+    const pending = await getPendingNotifications();
+    
+    // The delivery layer paces per-chat and global sends, so queue them all at once
+    await Promise.all(pending.map(async (notification) => {
+      let delivered = false;
+      
+      try {
+        await delivery.sendMessage(notification.chat_id, notification.text, {
+          parse_mode: 'HTML',
+          disable_web_page_preview: true
+        }, { priority: 7 });
+        delivered = true;
+        await markNotificationSent(notification.id);
+        console.log(`🔔 Delivered notification ${notification.id} to ${notification.chat_id}`);
+      } catch (error) {
+        // A failure to record is not a failed delivery
+        if (delivered) {
+          unrecordedNotifications.add(notification.id);
+          console.error(`❌ Delivered notification ${notification.id} but could not record it:`, error.message);
+          return;
+        }
+        
+        // The user blocked the bot or never started it, retrying won't help
+        const maxAttempts = isBlockedError(error) ? 1 : 5;
+        await markNotificationFailed(notification.id, error.message, maxAttempts);
+        console.error(`❌ Error delivering notification ${notification.id}:`, error.message);
+      }
+    }));
+  } catch (error) {
+    console.error('❌ Error dispatching notifications:', error.message);
+  } finally {
+    notificationsDispatching = false;
+  }
+}
+
 // =============================================================================
 // ERROR HANDLERS
 // =============================================================================
@@ -364,22 +1964,43 @@ bot.on('polling_error', (error) => {
 // =============================================================================
 
 // Connect to SQLite on startup
-ensureDB().then(() => {
+ensureDB().then(async () => {
   console.log('🔗 Connected to SQLite database');
+  const blockedCount = await loadBlockedChats();
+  if (blockedCount > 0) console.log(`🚫 Loaded ${blockedCount} blocked chats`);
 }).catch((error) => {
   console.error('❌ Failed to connect to SQLite database:', error);
 });
 
-app.listen(PORT, () => {
+setInterval(dispatchNotifications, NOTIFICATION_POLL_INTERVAL);
+setInterval(dispatchWebhooks, WEBHOOK_POLL_INTERVAL);
+
+const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`🤖 Bot: @soltoolsdexpaidbot`);
   console.log(`📝 Webhook URL: ${process.env.WEBHOOK_URL}`);
+  if (!WEBHOOK_SECRET) {
+    console.warn('⚠️  WEBHOOK_SECRET not set, webhook requests are not authenticated');
+  }
+  syncBotCommands();
+});
+
+// Live token updates for WebSocket clients on /ws
+const tokenStream = attachTokenStream(server, { verifyClient: apiAuth.verifyClient });
+
+metrics.registerCollector(() => {
+  Object.entries(delivery.counts()).forEach(([state, count]) => telegramOutbound.set({ state: state.toLowerCase() }, count));
+  websocketClients.set({}, tokenStream.clientCount());
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
   
+  tokenStream.close();
+  apiAuth.stop();
+  await apiAuth.flushUsage();
+  
   // Close database connection
   if (db) {
     db.close((err) => {
@@ -397,6 +2018,10 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
   
+  tokenStream.close();
+  apiAuth.stop();
+  await apiAuth.flushUsage();
+  
   // Close database connection
   if (db) {
     db.close((err) => {
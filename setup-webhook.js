@@ -8,11 +8,23 @@ async function setupWebhook() {
     // Set webhook URL
     const webhookUrl = process.env.WEBHOOK_URL || 'https://tzen.ai/webhook';
     const botToken = process.env.BOT_TOKEN;
+    const secretToken = process.env.WEBHOOK_SECRET;
+    
+    // Telegram sends this back in X-Telegram-Bot-Api-Secret-Token on every update
+    if (secretToken && !/^[A-Za-z0-9_-]{1,256}$/.test(secretToken)) {
+      console.error('❌ WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+      return;
+    }
+    if (!secretToken) {
+      console.warn('⚠️  WEBHOOK_SECRET not set, the webhook will accept unauthenticated requests');
+    }
     
     console.log(`Setting webhook to: ${webhookUrl}`);
     
     const response = await axios.post(`https://api.telegram.org/bot${botToken}/setWebhook`, {
-      url: webhookUrl
+      url: webhookUrl,
+      secret_token: secretToken || undefined,
+      allowed_updates: ['message', 'callback_query', 'inline_query', 'chosen_inline_result', 'my_chat_member']
     });
     
     console.log('Webhook setup response:', response.data);
@@ -20,6 +32,7 @@ async function setupWebhook() {
     if (response.data.ok) {
       console.log('✅ Webhook configured successfully!');
       console.log(`📝 Webhook URL: ${webhookUrl}`);
+      console.log(`🔐 Secret token: ${secretToken ? 'registered' : 'none'}`);
     } else {
       console.log('❌ Webhook configuration failed');
     }
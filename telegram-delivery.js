@@ -0,0 +1,122 @@
+// Outbound Telegram delivery: rate limits, retries and blocked-chat tracking
+const Bottleneck = require('bottleneck');
+
+// Telegram limits: ~30 messages/s overall, 1 message/s per chat, 20 messages/min per group
+const GLOBAL_MIN_TIME = 35; // ms between any two outbound messages
+const PRIVATE_CHAT_MIN_TIME = 1000;
+const GROUP_CHAT_MIN_TIME = 3000;
+const MAX_RETRIES = 3;
+
+// Error codes from node-telegram-bot-api: ETELEGRAM (API answered), EFATAL (network), EPARSE
+function getStatusCode(error) {
+  return error.response?.statusCode || error.response?.body?.error_code;
+}
+
+// 403: user blocked the bot, deactivated, or the bot was removed from the group
+function isBlockedError(error) {
+  return error.code === 'CHAT_BLOCKED' || getStatusCode(error) === 403;
+}
+
+// Milliseconds to wait before retrying, or null when the error is permanent
+function getRetryDelay(error, retryCount) {
+  if (retryCount >= MAX_RETRIES) return null;
+
+  const status = getStatusCode(error);
+
+  if (status === 429) {
+    const retryAfter = error.response?.body?.parameters?.retry_after;
+    return (Number.isFinite(retryAfter) ? retryAfter : 1) * 1000;
+  }
+
+  // Network failures and Telegram server errors are transient
+  if (error.code === 'EFATAL' || (status >= 500 && status < 600)) {
+    return 1000 * Math.pow(2, retryCount);
+  }
+
+  return null;
+}
+
+// Wraps a TelegramBot with rate-limited sendMessage / editMessageText.
+// hooks.onBlocked(chatId, error) persists chats that blocked the bot.
+function createTelegramDelivery(bot, hooks = {}) {
+  const blockedChats = new Set();
+  let jobCounter = 0;
+
+  const globalLimiter = new Bottleneck({ minTime: GLOBAL_MIN_TIME });
+
+  const createChatGroup = (minTime) => {
+    const group = new Bottleneck.Group({ maxConcurrent: 1, minTime });
+
+    group.on('created', (limiter) => {
+      limiter.chain(globalLimiter);
+
+      limiter.on('failed', (error, jobInfo) => {
+        const delay = getRetryDelay(error, jobInfo.retryCount);
+        if (delay === null) return undefined;
+
+        console.warn(`⏳ Telegram ${getStatusCode(error) || error.code} for job ${jobInfo.options.id}, retrying in ${delay}ms`);
+        return delay;
+      });
+    });
+
+    return group;
+  };
+
+  const privateChats = createChatGroup(PRIVATE_CHAT_MIN_TIME);
+  const groupChats = createChatGroup(GROUP_CHAT_MIN_TIME);
+
+  // Negative chat ids are groups and channels
+  const limiterFor = (chatId) => (Number(chatId) < 0 ? groupChats : privateChats).key(String(chatId));
+
+  // priority: 0 (highest) - 9 (lowest); interactive replies use the default 5, broadcasts go lower
+  async function schedule(chatId, method, args, { priority = 5 } = {}) {
+    if (blockedChats.has(String(chatId))) {
+      const error = new Error(`Chat ${chatId} has blocked the bot`);
+      error.code = 'CHAT_BLOCKED';
+      throw error;
+    }
+
+    try {
+      return await limiterFor(chatId).schedule(
+        { priority, id: `${method}:${chatId}:${++jobCounter}` },
+        () => bot[method](...args)
+      );
+    } catch (error) {
+      if (getStatusCode(error) === 403) {
+        console.log(`🚫 Chat ${chatId} blocked the bot, no longer sending to it`);
+        markBlocked(chatId);
+        if (hooks.onBlocked) {
+          Promise.resolve(hooks.onBlocked(chatId, error)).catch(err =>
+            console.error(`❌ Error recording blocked chat ${chatId}:`, err.message)
+          );
+        }
+      }
+      throw error;
+    }
+  }
+
+  function markBlocked(chatId) {
+    blockedChats.add(String(chatId));
+  }
+
+  function markUnblocked(chatId) {
+    blockedChats.delete(String(chatId));
+  }
+
+  return {
+    sendMessage: (chatId, text, options = {}, jobOptions) =>
+      schedule(chatId, 'sendMessage', [chatId, text, options], jobOptions),
+    editMessageText: (text, options = {}, jobOptions) =>
+      schedule(options.chat_id, 'editMessageText', [text, options], jobOptions),
+    isBlocked: (chatId) => blockedChats.has(String(chatId)),
+    markBlocked,
+    markUnblocked,
+    counts: () => globalLimiter.counts()
+  };
+}
+
+module.exports = {
+  createTelegramDelivery,
+  isBlockedError,
+  getRetryDelay
+};
@@ -0,0 +1,86 @@
+// API key middleware: unknown keys, per-key quotas and the bounded key cache
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Stub the key store before api-auth loads, so no database is opened
+const lookups = [];
+const keys = new Map();
+require.cache[require.resolve('../cache-solana-tokens')] = {
+  loaded: true,
+  exports: {
+    findApiKey: async key => {
+      lookups.push(key);
+      return keys.get(key) || null;
+    },
+    recordApiKeyUsage: async () => {}
+  }
+};
+
+const { createApiAuth } = require('../api-auth');
+
+const auth = createApiAuth();
+after(() => auth.stop());
+
+function addKey(key, rateLimit = 100) {
+  keys.set(key, { id: keys.size + 1, name: key, rate_limit: rateLimit });
+}
+
+async function request(key) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    set(headers) { Object.assign(this.headers, headers); return this; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const req = { headers: key ? { 'x-api-key': key } : {}, url: '/api/tokens', query: {} };
+  let nextCalled = false;
+
+  await auth.middleware(req, res, () => { nextCalled = true; });
+  return { res, req, nextCalled };
+}
+
+test('missing and unknown keys get a 401', async () => {
+  const missing = await request(null);
+  assert.equal(missing.res.statusCode, 401);
+  assert.deepEqual(missing.res.body, { error: 'API key required' });
+
+  const unknown = await request('not-a-key');
+  assert.equal(unknown.res.statusCode, 401);
+  assert.deepEqual(unknown.res.body, { error: 'Invalid API key' });
+  assert.equal(unknown.nextCalled, false);
+});
+
+test('requests over the per-minute quota get a 429 with Retry-After', async () => {
+  addKey('limited', 2);
+
+  for (let i = 0; i < 2; i++) {
+    const { res, req, nextCalled } = await request('limited');
+    assert.equal(nextCalled, true);
+    assert.equal(req.apiKey.name, 'limited');
+    assert.equal(res.headers['X-RateLimit-Remaining'], String(1 - i));
+  }
+
+  const { res, nextCalled } = await request('limited');
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.deepEqual(res.body, { error: 'Rate limit exceeded' });
+  assert.equal(res.headers['X-RateLimit-Limit'], '2');
+  assert.equal(res.headers['X-RateLimit-Remaining'], '0');
+  assert.ok(Number(res.headers['Retry-After']) > 0);
+});
+
+test('the key cache keeps the 1000 most recent keys', async () => {
+  for (let i = 0; i <= 1000; i++) addKey(`key-${i}`);
+  for (let i = 0; i <= 1000; i++) await request(`key-${i}`);
+
+  // key-0 was dropped when key-1000 was cached, the others are still served from memory
+  lookups.length = 0;
+  await request('key-1000');
+  await request('key-1');
+  assert.deepEqual(lookups, []);
+
+  await request('key-0');
+  assert.deepEqual(lookups, ['key-0']);
+});
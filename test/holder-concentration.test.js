@@ -0,0 +1,69 @@
+// Holder concentration from getTokenLargestAccounts: which balances count as holders
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeHolderConcentration, EXCLUDED_OWNERS } = require('../holder-concentration');
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const RAYDIUM_AUTHORITY = Object.keys(EXCLUDED_OWNERS).find(owner => EXCLUDED_OWNERS[owner] === 'lp');
+const PAIR = 'PairAddress111111111111111111111111111111';
+
+// accounts: [[token account, owner or null, amount]], programs: { owner: program owning it }
+function concentration(accounts, { supply = 1000, programs = {}, pairAddress = PAIR } = {}) {
+  return computeHolderConcentration({
+    largestAccounts: accounts.map(([address, , amount]) => ({ address, amount: String(amount) })),
+    owners: new Map(accounts.filter(([, owner]) => owner).map(([address, owner]) => [address, owner])),
+    ownerPrograms: new Map(Object.entries(programs)),
+    supply: String(supply),
+    pairAddress
+  });
+}
+
+test('wallets count as holders, grouped per owner, with top 1 and top 10 shares', () => {
+  const accounts = [
+    ['acc-a1', 'walletA', 100],
+    ['acc-a2', 'walletA', 50],
+    ['acc-b', 'walletB', 120]
+  ];
+  for (let i = 0; i < 10; i++) accounts.push([`acc-small-${i}`, `small${i}`, 10]);
+
+  const programs = Object.fromEntries(accounts.map(([, owner]) => [owner, SYSTEM_PROGRAM]));
+
+  // walletA 150 = 15%, top 10 = 150 + 120 + 8 * 10 = 350
+  assert.deepEqual(concentration(accounts, { programs }), {
+    top1HolderPct: 15,
+    top10HolderPct: 35,
+    holdersExcludedPct: 0
+  });
+});
+
+test('the pair, AMM authorities, burn addresses and program-owned owners are excluded', () => {
+  const accounts = [
+    [PAIR, 'poolOwner', 300], // the pair's own vault
+    ['acc-pool', PAIR, 100], // owned by the pair address
+    ['acc-raydium', RAYDIUM_AUTHORITY, 200],
+    ['acc-burn', '1nc1nerator11111111111111111111111111111111', 50],
+    ['acc-pda', 'someVaultPda', 150], // owner is a program's PDA
+    ['acc-wallet', 'wallet', 40]
+  ];
+  const programs = { someVaultPda: 'SomeProgram111111111111111111111111111111', wallet: SYSTEM_PROGRAM };
+
+  assert.deepEqual(concentration(accounts, { programs }), {
+    top1HolderPct: 4,
+    top10HolderPct: 4,
+    holdersExcludedPct: 80
+  });
+});
+
+test('unresolved owners fall back to the token account, missing owner programs count as wallets', () => {
+  const result = concentration([['acc-unknown', null, 250], ['acc-new', 'freshWallet', 100]]);
+
+  assert.equal(result.top1HolderPct, 25);
+  assert.equal(result.top10HolderPct, 35);
+  assert.equal(result.holdersExcludedPct, 0);
+});
+
+test('null without a supply or without accounts', () => {
+  assert.equal(concentration([['acc', 'wallet', 10]], { supply: 0 }), null);
+  assert.equal(concentration([]), null);
+  assert.equal(computeHolderConcentration({ largestAccounts: null, owners: new Map(), ownerPrograms: new Map(), supply: '1000' }), null);
+});
@@ -0,0 +1,66 @@
+// LIST_RULES_FILE accepts JSON and YAML; both must produce the same validated lists
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadListProfiles } = require('../list-rules');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'soltools-rules-'));
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const profiles = {
+  default: 'safe',
+  lists: {
+    safe: {
+      filter: { all: [{ field: 'marketCap', op: '>=', value: '25k' }, { field: 'mintable', op: '==', value: false }] },
+      sort: { field: 'marketCap', order: 'desc' },
+      limit: 50
+    },
+    fresh: { filter: { field: 'ageHours', op: '<', value: 1 }, limit: 25 }
+  }
+};
+
+const yaml = `
+default: safe
+lists:
+  safe:
+    filter:
+      all:
+        - { field: marketCap, op: ">=", value: 25k }
+        - { field: mintable, op: "==", value: false }
+    sort: { field: marketCap, order: desc }
+    limit: 50
+  fresh:
+    filter: { field: ageHours, op: "<", value: 1 }
+    limit: 25
+`;
+
+test('YAML and JSON rule files load the same lists', () => {
+  fs.writeFileSync(path.join(dir, 'lists.json'), JSON.stringify(profiles));
+  fs.writeFileSync(path.join(dir, 'lists.yml'), yaml);
+
+  const fromJson = loadListProfiles({ LIST_RULES_FILE: path.join(dir, 'lists.json') });
+  const fromYaml = loadListProfiles({ LIST_RULES_FILE: path.join(dir, 'lists.yml') });
+
+  assert.deepEqual(fromYaml, fromJson);
+  assert.equal(fromYaml.lists.safe.filter.all[0].value, 25000);
+});
+
+test('YAML syntax errors name the file', () => {
+  const file = path.join(dir, 'broken.yaml');
+  fs.writeFileSync(file, 'lists:\n  safe: [unclosed\n');
+
+  assert.throws(() => loadListProfiles({ LIST_RULES_FILE: file }), new RegExp(`Could not load list rules from ${file}`));
+});
+
+test('Object property names are not list names', () => {
+  const { lists } = loadListProfiles({});
+
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty'].forEach(name => {
+    assert.equal(Object.hasOwn(lists, name), false);
+    assert.equal(lists[name], undefined);
+  });
+  assert.throws(() => loadListProfiles({ LIST_RULES: JSON.stringify({ ...profiles, default: 'toString' }) }), /default list "toString" is not defined/);
+});
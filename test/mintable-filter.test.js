@@ -0,0 +1,131 @@
+// Regression: mintable tokens must never reach the safe list, whichever source supplied the authorities.
+// The batch path once passed raw Helius entries (no mintable field) into enrichTokenWithData, so
+// mintable tokens read as mintable: false. Also covers pairs quoting the mint instead of trading it.
+// Upstream responses are served from fixtures.
+const { test, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+
+const fixture = name => JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8'));
+const heliusMetadata = fixture('helius-token-metadata.json');
+const mintAccounts = fixture('get-multiple-accounts.json');
+const dexPairs = fixture('dexscreener-tokens.json');
+
+const MINTABLE = 'MintabLeToken1111111111111111111111111111';
+const NO_MINT_ACCOUNT = 'NoMintAccount11111111111111111111111111111';
+const SAFE = 'SafeToken11111111111111111111111111111111';
+const QUOTE_ONLY = 'QuoteOnLyToken11111111111111111111111111';
+
+// Set before the cache module loads: a throwaway database, fixture-only upstreams, the default lists
+const dbPath = path.join(os.tmpdir(), `soltools-test-${process.pid}.db`);
+Object.assign(process.env, {
+  TOKENS_DB_PATH: dbPath,
+  HELIUS_API_KEY: 'test-key',
+  SOLANA_RPC_URL: 'http://rpc.test/',
+  USE_REDIS: 'false',
+  LIST_RULES: '',
+  LIST_RULES_FILE: ''
+});
+
+// The cache module logs progress to stdout, which the Node 20 test runner
+// intermittently misreads as part of its own protocol
+mock.method(console, 'log', () => {});
+
+function respond(config, data) {
+  return { data, status: 200, statusText: 'OK', headers: {}, config, request: {} };
+}
+
+// Every axios client (global and axios.create) answers from the fixtures
+axios.defaults.adapter = async (config) => {
+  const url = axios.getUri(config);
+  const body = typeof config.data === 'string' ? JSON.parse(config.data) : config.data;
+
+  if (url.includes('/token-metadata')) {
+    return respond(config, heliusMetadata.filter(entry => body.mintAccounts.includes(entry.account)));
+  }
+  if (url.includes('/tokens/v1/solana/')) {
+    const mints = url.split('/').pop().split(',');
+    return respond(config, dexPairs.filter(pair => mints.includes(pair.baseToken.address) || mints.includes(pair.quoteToken.address)));
+  }
+  if (url.startsWith('http://rpc.test') && body.method === 'getMultipleAccounts') {
+    return respond(config, { jsonrpc: '2.0', id: body.id, result: { value: body.params[0].map(address => mintAccounts[address] ?? null) } });
+  }
+  if (url.startsWith('http://rpc.test')) {
+    return respond(config, { jsonrpc: '2.0', id: body.id, error: { code: -32601, message: `${body.method} not in fixtures` } });
+  }
+  throw new Error(`Unexpected request in test: ${config.method} ${url}`);
+};
+
+const { processBatch, LIST_PROFILES, closeDB } = require('../cache-solana-tokens');
+const { applyListRules } = require('../list-rules');
+const { normalizeTokenMetadataBatch } = require('../token-metadata');
+
+after(async () => {
+  await closeDB();
+  fs.rmSync(dbPath, { force: true });
+});
+
+test('normalizeTokenMetadataBatch reads authorities from raw Helius entries', () => {
+  const [mintable, noMintAccount, safe] = normalizeTokenMetadataBatch(heliusMetadata, [MINTABLE, NO_MINT_ACCOUNT, SAFE]);
+
+  assert.equal(mintable.mintable, true);
+  assert.equal(mintable.mintAuthority, 'MintAuthority11111111111111111111111111111');
+  assert.equal(mintable.freezable, false);
+  assert.equal(mintable.name, 'Mintable Token');
+  assert.equal(noMintAccount.mintable, true);
+  assert.equal(safe.mintable, false);
+  assert.equal(safe.freezable, false);
+});
+
+test('processBatch filters mintable tokens out of the safe list', async () => {
+  const tokens = [MINTABLE, NO_MINT_ACCOUNT, SAFE].map(tokenAddress => ({
+    tokenAddress,
+    url: `https://dexscreener.com/solana/${tokenAddress}`,
+    links: []
+  }));
+
+  const enriched = await processBatch(tokens);
+  const byMint = new Map(enriched.map(token => [token.tokenAddress, token]));
+
+  // Mint account says mintable
+  assert.equal(byMint.get(MINTABLE).mintable, true);
+  assert.equal(byMint.get(MINTABLE).filtered, true);
+
+  // Mint account unavailable: the Helius metadata authorities are used instead
+  assert.equal(byMint.get(NO_MINT_ACCOUNT).mintable, true);
+  assert.equal(byMint.get(NO_MINT_ACCOUNT).filtered, true);
+
+  // Control: a revoked mint still makes the list
+  assert.equal(byMint.get(SAFE).mintable, false);
+  assert.equal(byMint.get(SAFE).filtered, false);
+
+  const safeList = applyListRules(enriched.filter(token => token.success), LIST_PROFILES.lists.safe);
+  const listed = safeList.map(token => token.tokenAddress);
+  assert.ok(!listed.includes(MINTABLE));
+  assert.ok(!listed.includes(NO_MINT_ACCOUNT));
+  assert.deepEqual(listed, [SAFE]);
+});
+
+test('price and market cap come from pairs where the mint is the base token', async () => {
+  const tokens = [SAFE, QUOTE_ONLY].map(tokenAddress => ({ tokenAddress, links: [] }));
+
+  const enriched = await processBatch(tokens);
+  const byMint = new Map(enriched.map(token => [token.tokenAddress, token]));
+
+  // SAFE is also the quote side of a deeper pair, whose price is the other token's
+  assert.equal(byMint.get(SAFE).price, 0.0005);
+  assert.equal(byMint.get(SAFE).marketCap, 500000);
+  assert.equal(byMint.get(SAFE).liquidityUsd, 40000);
+
+  // Only quote-side pairs: name and ticker, but no price, market cap or price change
+  const quoteOnly = byMint.get(QUOTE_ONLY);
+  assert.equal(quoteOnly.ticker, 'QONLY');
+  assert.equal(quoteOnly.price, 0);
+  assert.equal(quoteOnly.marketCap, 0);
+  assert.equal(quoteOnly.fdv, 0);
+  assert.equal(quoteOnly.priceChange24h, 0);
+  assert.equal(quoteOnly.filtered, true);
+});
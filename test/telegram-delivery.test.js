@@ -0,0 +1,68 @@
+// Telegram delivery: 429s are retried after retry_after, 403s mark the chat blocked without retrying
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTelegramDelivery, getRetryDelay } = require('../telegram-delivery');
+
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+// Shaped like node-telegram-bot-api's ETELEGRAM errors
+function telegramError(statusCode, parameters) {
+  const error = new Error(`ETELEGRAM: ${statusCode}`);
+  error.code = 'ETELEGRAM';
+  error.response = { statusCode, body: { ok: false, error_code: statusCode, description: 'stub', parameters } };
+  return error;
+}
+
+// A bot whose sendMessage throws the queued errors, then succeeds
+function stubBot(...errors) {
+  const calls = [];
+  return {
+    calls,
+    sendMessage: async (chatId, text) => {
+      calls.push({ chatId, text });
+      const error = errors.shift();
+      if (error) throw error;
+      return { message_id: calls.length, chat: { id: chatId }, text };
+    }
+  };
+}
+
+test('a 429 is retried after retry_after', async () => {
+  const bot = stubBot(telegramError(429, { retry_after: 0 }));
+  const delivery = createTelegramDelivery(bot);
+
+  const message = await delivery.sendMessage(101, 'hello');
+
+  assert.equal(bot.calls.length, 2);
+  assert.equal(message.text, 'hello');
+  assert.equal(delivery.isBlocked(101), false);
+});
+
+test('retry delays follow retry_after and give up after three retries', () => {
+  assert.equal(getRetryDelay(telegramError(429, { retry_after: 7 }), 0), 7000);
+  assert.equal(getRetryDelay(telegramError(429), 0), 1000);
+  assert.equal(getRetryDelay(telegramError(429, { retry_after: 7 }), 3), null);
+  assert.equal(getRetryDelay(telegramError(403), 0), null);
+  assert.equal(getRetryDelay(telegramError(400), 0), null);
+});
+
+test('a 403 marks the chat blocked, calls onBlocked and is not retried', async () => {
+  const blocked = [];
+  const bot = stubBot(telegramError(403));
+  const delivery = createTelegramDelivery(bot, { onBlocked: (chatId, error) => blocked.push([chatId, error.response.statusCode]) });
+
+  await assert.rejects(delivery.sendMessage(202, 'hello'), { code: 'ETELEGRAM' });
+  assert.equal(bot.calls.length, 1);
+  assert.deepEqual(blocked, [[202, 403]]);
+  assert.equal(delivery.isBlocked(202), true);
+
+  // Later sends fail fast without reaching Telegram
+  await assert.rejects(delivery.sendMessage(202, 'again'), { code: 'CHAT_BLOCKED' });
+  assert.equal(bot.calls.length, 1);
+
+  // Until the chat talks to the bot again
+  delivery.markUnblocked(202);
+  await delivery.sendMessage(202, 'welcome back');
+  assert.equal(bot.calls.length, 2);
+});
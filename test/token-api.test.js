@@ -0,0 +1,72 @@
+// /api/tokens paging: sort order with missing values, and cursors clients can tamper with
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Paging never reads the cache; keep the cache module (and its database) out of the test
+require.cache[require.resolve('../cache-solana-tokens')] = {
+  loaded: true,
+  exports: { getCacheSnapshot: async () => ({}), getFirstSeenTimes: async () => ({}) }
+};
+
+const { parseListQuery, paginate } = require('../token-api');
+
+const tokens = [
+  { tokenAddress: 'mintA', name: 'Alpha', marketCap: 300 },
+  { tokenAddress: 'mintB', name: 'Bravo' },
+  { tokenAddress: 'mintC', name: 'Charlie', marketCap: 100 },
+  { tokenAddress: 'mintD', name: 'Delta', marketCap: 300 },
+  { tokenAddress: 'mintE', name: 'Echo', marketCap: null }
+];
+
+const cursorFor = key => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+// Follow nextCursor until the last page, returning the mints page by page
+function allPages(query) {
+  const pages = [];
+  let cursor;
+  do {
+    const page = paginate(tokens, parseListQuery({ ...query, cursor }, 'marketCap'));
+    assert.equal(page.total, tokens.length);
+    pages.push(page.tokens.map(token => token.tokenAddress));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return pages;
+}
+
+test('descending pages put missing values last and break ties by mint', () => {
+  assert.deepEqual(allPages({ limit: '2' }), [['mintA', 'mintD'], ['mintC', 'mintB'], ['mintE']]);
+});
+
+test('ascending pages also put missing values last', () => {
+  assert.deepEqual(allPages({ order: 'asc', limit: '2' }), [['mintC', 'mintA'], ['mintD', 'mintB'], ['mintE']]);
+  assert.deepEqual(allPages({ order: 'asc', limit: '4' }), [['mintC', 'mintA', 'mintD', 'mintB'], ['mintE']]);
+});
+
+test('a cursor between two keys resumes after it', () => {
+  const page = paginate(tokens, parseListQuery({ cursor: cursorFor([200, 'zzz']) }, 'marketCap'));
+  assert.deepEqual(page.tokens.map(token => token.tokenAddress), ['mintC', 'mintB', 'mintE']);
+  assert.equal(page.nextCursor, null);
+
+  const pastEnd = paginate(tokens, parseListQuery({ cursor: cursorFor([null, 'zzz']) }, 'marketCap'));
+  assert.deepEqual(pastEnd.tokens, []);
+  assert.equal(pastEnd.nextCursor, null);
+});
+
+test('invalid and tampered cursors are rejected with a 400', () => {
+  const invalid = { status: 400, message: 'Invalid cursor' };
+
+  [
+    'not-a-cursor',
+    cursorFor({ value: 300, mint: 'mintA' }),
+    cursorFor([300]),
+    cursorFor([300, 42]),
+    cursorFor(['300', 'mintA']), // a string where marketCap sorts numerically
+    cursorFor([{}, 'mintA']),
+    Buffer.from('[1e400,"mintA"]').toString('base64url')
+  ].forEach(cursor => {
+    assert.throws(() => parseListQuery({ cursor }, 'marketCap'), invalid, cursor);
+  });
+
+  assert.throws(() => parseListQuery({ sort: 'name', cursor: cursorFor([300, 'mintA']) }, 'marketCap'), invalid);
+  assert.deepEqual(parseListQuery({ sort: 'name', cursor: cursorFor(['Bravo', 'mintB']) }, 'marketCap').cursor, ['Bravo', 'mintB']);
+});
@@ -0,0 +1,35 @@
+// Regression: authority flips must be reported for every enriched token, including mints that
+// were never on a list (a mintable token is filtered out, so revoking its authority was missed).
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { updateAuthorityStates, buildTokenEvents } = require('../token-events');
+
+const DAY = 24 * 3600;
+const token = (tokenAddress, mintable, freezable = false) => ({ tokenAddress, mintable, freezable });
+
+test('a revoked mint authority is reported for a token that was filtered out', () => {
+  const firstRun = [token('Revoked', true), token('Unchanged', false)];
+  const states = updateAuthorityStates(null, firstRun, DAY, 0);
+
+  const events = buildTokenEvents({
+    previousTop: [],
+    currentTop: [],
+    previousAuthorities: states,
+    currentTokens: [token('Revoked', false), token('Unchanged', false)],
+    newTokens: []
+  });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].event, 'token.authority_changed');
+  assert.equal(events[0].data.token.tokenAddress, 'Revoked');
+  assert.deepEqual(events[0].data.previous, { mintable: true, freezable: false });
+  assert.deepEqual(events[0].data.current, { mintable: false, freezable: false });
+});
+
+test('updateAuthorityStates keeps missing mints until they expire and skips unknown authorities', () => {
+  const states = updateAuthorityStates(null, [token('Gone', true), token('Stale', false)], DAY, 0);
+  const later = updateAuthorityStates({ ...states, Stale: { ...states.Stale, seenAt: -2 * DAY * 1000 } }, [token('Unknown', null)], DAY, 1000);
+
+  assert.deepEqual(Object.keys(later), ['Gone']);
+  assert.equal(later.Gone.mintable, true);
+});
@@ -0,0 +1,30 @@
+// Token-2022 extension risks read from jsonParsed mint accounts
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { extensionRiskFields, describeExtensionRisks } = require('../token-risks');
+
+const AUTHORITY = 'PauseAuthority1111111111111111111111111111';
+const mint = (...extensions) => ({ program: 'spl-token-2022', extensions });
+
+test('a pause authority counts as a risk, and a paused mint says so', () => {
+  const unpaused = extensionRiskFields(mint({ extension: 'pausableConfig', state: { authority: AUTHORITY, paused: false } }));
+  assert.equal(unpaused.hasExtensionRisk, true);
+  assert.equal(unpaused.extensionRisks.pausableAuthority, AUTHORITY);
+  assert.deepEqual(describeExtensionRisks(unpaused.extensionRisks), ['Pausable: an authority can halt all transfers']);
+
+  const paused = extensionRiskFields(mint({ extension: 'pausableConfig', state: { authority: null, paused: true } }));
+  assert.equal(paused.hasExtensionRisk, true);
+  assert.deepEqual(describeExtensionRisks(paused.extensionRisks), ['Paused: transfers are halted right now']);
+
+  const revoked = extensionRiskFields(mint({ extension: 'pausableConfig', state: { authority: null, paused: false } }));
+  assert.equal(revoked.hasExtensionRisk, false);
+});
+
+test('a mint close authority counts as a risk', () => {
+  const fields = extensionRiskFields(mint({ extension: 'mintCloseAuthority', state: { closeAuthority: AUTHORITY } }));
+  assert.equal(fields.extensionRisks.mintCloseAuthority, AUTHORITY);
+  assert.equal(fields.hasExtensionRisk, true);
+
+  assert.equal(extensionRiskFields(mint({ extension: 'mintCloseAuthority', state: { closeAuthority: null } })).hasExtensionRisk, false);
+  assert.equal(extensionRiskFields(mint()).hasExtensionRisk, false);
+});
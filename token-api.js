@@ -0,0 +1,222 @@
+// Public REST API over the token cache: /api/tokens
+const express = require('express');
+const crypto = require('crypto');
+const { getCacheSnapshot, getFirstSeenTimes } = require('./cache-solana-tokens');
+const { isValidMintAddress } = require('./mint-address');
+const { parseThreshold } = require('./alert-conditions');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Sortable fields and their default order
+const SORT_FIELDS = {
+  marketCap: 'desc',
+  price: 'desc',
+  name: 'asc',
+  pairCreatedAt: 'desc',
+  firstSeenAt: 'desc'
+};
+const STRING_SORT_FIELDS = new Set(['name', 'firstSeenAt']); // The others sort numerically
+
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new ApiError(400, `Invalid ${name}: expected true or false`);
+}
+
+function parseAmount(value, name) {
+  if (value === undefined) return undefined;
+  const n = parseThreshold(value);
+  if (n === null) throw new ApiError(400, `Invalid ${name}: expected a positive number`);
+  return n;
+}
+
+// Opaque cursor: the sort key of the last item on the previous page
+const encodeCursor = key => Buffer.from(JSON.stringify(key)).toString('base64url');
+
+// The value must fit the sort field, otherwise every comparison is NaN and the page comes back empty
+function decodeCursor(cursor, sort) {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const value = Array.isArray(key) ? key[0] : undefined;
+    const validValue = value === null ||
+      (STRING_SORT_FIELDS.has(sort) ? typeof value === 'string' : Number.isFinite(value));
+    if (Array.isArray(key) && key.length === 2 && validValue && typeof key[1] === 'string') return key;
+  } catch (error) {
+    // Fall through to the error below
+  }
+  throw new ApiError(400, 'Invalid cursor');
+}
+
+function parseListQuery(query, defaultSort) {
+  const sort = query.sort || defaultSort;
+  if (!SORT_FIELDS[sort]) {
+    throw new ApiError(400, `Invalid sort: expected one of ${Object.keys(SORT_FIELDS).join(', ')}`);
+  }
+
+  const order = query.order || SORT_FIELDS[sort];
+  if (order !== 'asc' && order !== 'desc') {
+    throw new ApiError(400, 'Invalid order: expected asc or desc');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new ApiError(400, `Invalid limit: expected 1-${MAX_PAGE_SIZE}`);
+  }
+
+  return {
+    minMarketCap: parseAmount(query.minMarketCap, 'minMarketCap'),
+    maxMarketCap: parseAmount(query.maxMarketCap, 'maxMarketCap'),
+    mintable: parseBoolean(query.mintable, 'mintable'),
+    freezable: parseBoolean(query.freezable, 'freezable'),
+    sort,
+    order,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, sort) : null
+  };
+}
+
+function matchesFilters(token, filters) {
+  const hasMarketCap = typeof token.marketCap === 'number';
+
+  if (filters.minMarketCap !== undefined && (!hasMarketCap || token.marketCap < filters.minMarketCap)) return false;
+  if (filters.maxMarketCap !== undefined && (!hasMarketCap || token.marketCap > filters.maxMarketCap)) return false;
+  if (filters.mintable !== undefined && token.mintable !== filters.mintable) return false;
+  if (filters.freezable !== undefined && token.freezable !== filters.freezable) return false;
+  return true;
+}
+
+// Sort key [value, mint]; the mint breaks ties so the order (and cursors) are stable
+function sortKey(token, sort) {
+  const value = token[sort];
+  return [value === undefined ? null : value, token.tokenAddress];
+}
+
+// Missing values always sort last, whatever the order
+function compareKeys(a, b, order) {
+  if (a[0] !== b[0]) {
+    if (a[0] === null) return 1;
+    if (b[0] === null) return -1;
+    const cmp = typeof a[0] === 'string' ? a[0].localeCompare(b[0]) : a[0] - b[0];
+    if (cmp !== 0) return order === 'asc' ? cmp : -cmp;
+  }
+  return a[1] < b[1] ? -1 : a[1] > b[1] ? 1 : 0;
+}
+
+function paginate(tokens, options) {
+  const keyed = tokens
+    .filter(token => matchesFilters(token, options))
+    .map(token => ({ token, key: sortKey(token, options.sort) }))
+    .sort((a, b) => compareKeys(a.key, b.key, options.order));
+
+  const start = options.cursor ?
+    keyed.findIndex(item => compareKeys(item.key, options.cursor, options.order) > 0) :
+    0;
+  const page = start === -1 ? [] : keyed.slice(start, start + options.limit);
+  const hasMore = start !== -1 && start + options.limit < keyed.length;
+
+  return {
+    total: keyed.length,
+    tokens: page.map(item => item.token),
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null
+  };
+}
+
+// ETag / Last-Modified from the cache timestamps; Express answers 304 when the client is fresh
+function setCacheHeaders(req, res, timestamps) {
+  const valid = timestamps.filter(Boolean);
+  if (valid.length === 0) return;
+
+  const hash = crypto.createHash('sha1').update(`${valid.join('|')}|${req.originalUrl}`).digest('base64url');
+  const lastModified = new Date(Math.max(...valid.map(ts => new Date(ts).getTime())));
+
+  res.set('ETag', `"${hash}"`);
+  res.set('Last-Modified', lastModified.toUTCString());
+  res.set('Cache-Control', 'public, max-age=0, must-revalidate');
+}
+
+function createTokenApi() {
+  const router = express.Router();
+
+  // Top enriched tokens
+  router.get('/tokens', async (req, res) => {
+    const options = parseListQuery(req.query, 'marketCap');
+    const { enriched } = await getCacheSnapshot();
+
+    if (!enriched) {
+      throw new ApiError(503, 'Token cache is empty, try again after the next cache run');
+    }
+
+    setCacheHeaders(req, res, [enriched.timestamp]);
+    res.json({ timestamp: enriched.timestamp, truncated: !!enriched.truncated, ...paginate(enriched.tokens || [], options) });
+  });
+
+  // Latest listed profiles, with market data where the token has been enriched
+  router.get('/tokens/new', async (req, res) => {
+    const options = parseListQuery(req.query, 'firstSeenAt');
+    const [{ enriched, latest, tracked }, firstSeen] = await Promise.all([getCacheSnapshot(), getFirstSeenTimes()]);
+
+    if (!latest) {
+      throw new ApiError(503, 'Token cache is empty, try again after the next cache run');
+    }
+
+    const known = new Map([...(tracked?.tokens || []), ...(enriched?.tokens || [])].map(t => [t.tokenAddress, t]));
+    const tokens = (latest.tokens || []).map(token => ({
+      ...token,
+      ...known.get(token.tokenAddress),
+      firstSeenAt: firstSeen[token.tokenAddress] || null
+    }));
+
+    setCacheHeaders(req, res, [latest.timestamp, enriched?.timestamp, tracked?.timestamp]);
+    res.json({ timestamp: latest.timestamp, ...paginate(tokens, options) });
+  });
+
+  // One token from the cache (enriched, then tracked, then basic profiles)
+  router.get('/tokens/:mint', async (req, res) => {
+    const { mint } = req.params;
+    if (!isValidMintAddress(mint)) {
+      throw new ApiError(400, 'Invalid mint address');
+    }
+
+    const { enriched, latest, tracked } = await getCacheSnapshot();
+    const source = [enriched, tracked, latest].find(data => data?.tokens?.some(t => t.tokenAddress === mint));
+
+    if (!source) {
+      throw new ApiError(404, 'Token not found in cache');
+    }
+
+    setCacheHeaders(req, res, [source.timestamp]);
+    res.json({
+      timestamp: source.timestamp,
+      token: source.tokens.find(t => t.tokenAddress === mint)
+    });
+  });
+
+  router.use((req, res) => {
+    res.status(404).json({ error: 'Not found' });
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('❌ Error serving token API request:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createTokenApi,
+  parseListQuery,
+  paginate
+};
@@ -0,0 +1,118 @@
+// Token card rendering for Telegram messages (HTML parse mode)
+const { describeExtensionRisks } = require('./token-risks');
+
+// Holder shares (percent of supply) that get a warning on the card
+const TOP1_HOLDER_WARNING = 10;
+const TOP10_HOLDER_WARNING = 50;
+
+// Escape text for Telegram HTML parse mode
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Compact number formatting: 1234567 -> 1.23M
+function formatCompact(value) {
+  const n = Number(value) || 0;
+  const abs = Math.abs(n);
+
+  if (abs >= 1e9) return `${(n / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${(n / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${(n / 1e3).toFixed(2)}K`;
+  return n.toLocaleString('en-US', { maximumFractionDigits: 2 });
+}
+
+// Price formatting keeps significant digits for sub-cent tokens
+function formatPrice(value) {
+  const n = Number(value) || 0;
+
+  if (n === 0) return '$0';
+  if (n >= 1) return `$${n.toLocaleString('en-US', { maximumFractionDigits: 4 })}`;
+  return `$${n.toPrecision(4)}`;
+}
+
+function formatUsd(value) {
+  return `$${formatCompact(value)}`;
+}
+
+// Percentage change between two values: +12.34% / -5.00%
+function formatChange(from, to) {
+  const start = Number(from) || 0;
+  const end = Number(to) || 0;
+  if (start === 0) return 'n/a';
+
+  const change = ((end - start) / start) * 100;
+  const sign = change > 0 ? '+' : '';
+  return `${change >= 0 ? '🟢' : '🔴'} ${sign}${change.toFixed(2)}%`;
+}
+
+// Render links from DexScreener profile ({ type, label, url })
+function formatLinks(links) {
+  if (!Array.isArray(links) || links.length === 0) return null;
+
+  return links
+    .filter(link => link && /^https?:\/\//.test(link.url || ''))
+    .map(link => {
+      const label = link.label || link.type || 'Link';
+      const title = label.charAt(0).toUpperCase() + label.slice(1);
+      return `<a href="${escapeHtml(link.url)}">${escapeHtml(title)}</a>`;
+    })
+    .join(' · ') || null;
+}
+
+// Build the full token card
+function formatTokenCard(token) {
+  const lines = [];
+
+  lines.push(`🪙 <b>${escapeHtml(token.name || 'Unknown')}</b> ($${escapeHtml(token.ticker || 'N/A')})`);
+  lines.push(`<code>${escapeHtml(token.tokenAddress)}</code>`);
+  lines.push('');
+
+  if (token.hasDexData === false) {
+    lines.push('⚠️ No DexScreener market data for this token');
+    if (!token.name && token.description) {
+      lines.push(`📝 ${escapeHtml(token.description.substring(0, 200))}`);
+    }
+  } else {
+    lines.push(`💵 Price: ${formatPrice(token.price)}`);
+    lines.push(`📊 Market Cap: ${formatUsd(token.marketCap)}`);
+  }
+
+  // Basic profiles (not enriched yet) have no supply or authority data
+  if (token.totalSupply) {
+    lines.push(`📦 Supply: ${formatCompact(token.totalSupply)}`);
+  }
+  if (typeof token.mintable === 'boolean') {
+    lines.push(`🔐 Mintable: ${token.mintable ? '⚠️ Yes' : '✅ No'} | Freezable: ${token.freezable ? '⚠️ Yes' : '✅ No'}`);
+  }
+  describeExtensionRisks(token.extensionRisks).forEach(risk => lines.push(`🚨 ${escapeHtml(risk)}`));
+
+  // Holder shares leave out LP, burn and program accounts
+  if (typeof token.top10HolderPct === 'number') {
+    const share = (pct, warning) => `${pct >= warning ? '⚠️ ' : ''}${pct.toFixed(2)}%`;
+    lines.push(`👥 Top holder: ${share(token.top1HolderPct, TOP1_HOLDER_WARNING)} | Top 10: ${share(token.top10HolderPct, TOP10_HOLDER_WARNING)}`);
+  }
+
+  const links = formatLinks(token.links);
+  if (links) {
+    lines.push('');
+    lines.push(`🔗 ${links}`);
+  }
+
+  const dexUrl = token.url || `https://dexscreener.com/solana/${token.tokenAddress}`;
+  lines.push(`📈 <a href="${escapeHtml(dexUrl)}">View on DexScreener</a>`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  escapeHtml,
+  formatCompact,
+  formatPrice,
+  formatUsd,
+  formatChange,
+  formatTokenCard
+};
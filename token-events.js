@@ -0,0 +1,100 @@
+// Token events for outbound webhooks, derived from consecutive cache runs
+
+const WEBHOOK_EVENTS = ['token.new', 'token.entered_top', 'token.left_top', 'token.authority_changed'];
+
+// Fields sent for a token in event payloads
+function eventToken(token) {
+  return {
+    tokenAddress: token.tokenAddress,
+    name: token.name || null,
+    ticker: token.ticker || null,
+    price: token.price ?? null,
+    marketCap: token.marketCap ?? null,
+    totalSupply: token.totalSupply ?? null,
+    mintable: typeof token.mintable === 'boolean' ? token.mintable : null,
+    freezable: typeof token.freezable === 'boolean' ? token.freezable : null,
+    url: token.url || `https://dexscreener.com/solana/${token.tokenAddress}`
+  };
+}
+
+// Tokens that entered / left the top list between two runs
+function detectTopChanges(previousTop, currentTop) {
+  const previous = new Map(previousTop.map((t, index) => [t.tokenAddress, index + 1]));
+  const current = new Map(currentTop.map((t, index) => [t.tokenAddress, index + 1]));
+  const events = [];
+
+  currentTop.forEach(token => {
+    if (!previous.has(token.tokenAddress)) {
+      events.push({ event: 'token.entered_top', data: { rank: current.get(token.tokenAddress), token: eventToken(token) } });
+    }
+  });
+  previousTop.forEach(token => {
+    if (!current.has(token.tokenAddress)) {
+      events.push({ event: 'token.left_top', data: { previousRank: previous.get(token.tokenAddress), token: eventToken(token) } });
+    }
+  });
+
+  return events;
+}
+
+// Last known authorities per mint, carried from run to run: { [mint]: { mintable, freezable, seenAt } }
+// Every enriched token is recorded, not just listed ones, so a flip is caught whichever list the token is in.
+// Mints missing from a run keep their state until it is older than maxAgeSeconds.
+function updateAuthorityStates(previousStates, currentTokens, maxAgeSeconds, now = Date.now()) {
+  const states = {};
+
+  Object.entries(previousStates || {}).forEach(([mint, state]) => {
+    if (now - state.seenAt <= maxAgeSeconds * 1000) states[mint] = state;
+  });
+  currentTokens.forEach(token => {
+    if (typeof token.mintable !== 'boolean') return;
+    states[token.tokenAddress] = { mintable: token.mintable, freezable: token.freezable, seenAt: now };
+  });
+
+  return states;
+}
+
+// Mint / freeze authority flips against the stored states (see updateAuthorityStates)
+function detectAuthorityChanges(previousStates, currentTokens) {
+  const previous = new Map(Object.entries(previousStates || {}));
+  const events = [];
+  const reported = new Set();
+
+  currentTokens.forEach(token => {
+    const before = previous.get(token.tokenAddress);
+    if (!before || reported.has(token.tokenAddress)) return;
+    if (typeof before.mintable !== 'boolean' || typeof token.mintable !== 'boolean') return;
+
+    if (before.mintable !== token.mintable || before.freezable !== token.freezable) {
+      reported.add(token.tokenAddress);
+      events.push({
+        event: 'token.authority_changed',
+        data: {
+          token: eventToken(token),
+          previous: { mintable: before.mintable, freezable: before.freezable },
+          current: { mintable: token.mintable, freezable: token.freezable }
+        }
+      });
+    }
+  });
+
+  return events;
+}
+
+// All events for one run; the previous run's data is null on the first run or after it expired
+function buildTokenEvents({ previousTop, currentTop, previousAuthorities, currentTokens, newTokens }) {
+  return [
+    ...newTokens.map(token => ({ event: 'token.new', data: { token: eventToken(token) } })),
+    ...(previousTop ? detectTopChanges(previousTop, currentTop) : []),
+    ...detectAuthorityChanges(previousAuthorities, currentTokens)
+  ];
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  eventToken,
+  detectTopChanges,
+  updateAuthorityStates,
+  detectAuthorityChanges,
+  buildTokenEvents
+};
@@ -0,0 +1,64 @@
+// Normalized token metadata from Helius /v0/token-metadata entries
+// Every fetch path (single, batch, cached) goes through normalizeTokenMetadata, so callers
+// only ever see one shape:
+//   { mint, name, symbol, uri, mintAuthority, freezeAuthority, mintable, freezable,
+//     updateAuthority, isMutable, offChain: { name, symbol, description, image, externalUrl } | null }
+// Authority flags are null (unknown) when Helius could not read the mint account.
+
+// On-chain names and symbols are fixed-width and padded with NUL bytes
+function cleanString(value) {
+  if (typeof value !== 'string') return null;
+  const cleaned = value.replace(/\0/g, '').trim();
+  return cleaned || null;
+}
+
+function normalizeOffChain(offChainMetadata) {
+  const metadata = offChainMetadata?.metadata;
+  if (!metadata || typeof metadata !== 'object' || offChainMetadata.error) return null;
+
+  return {
+    name: cleanString(metadata.name),
+    symbol: cleanString(metadata.symbol),
+    description: cleanString(metadata.description),
+    image: cleanString(metadata.image),
+    externalUrl: cleanString(metadata.external_url)
+  };
+}
+
+// null for entries without a mint address
+function normalizeTokenMetadata(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.account) return null;
+
+  const mintInfo = raw.onChainAccountInfo?.accountInfo?.data?.parsed?.info;
+  const onChain = raw.onChainMetadata?.metadata;
+  const offChain = normalizeOffChain(raw.offChainMetadata);
+
+  return {
+    mint: raw.account,
+    name: cleanString(onChain?.data?.name) || offChain?.name || cleanString(raw.legacyMetadata?.name),
+    symbol: cleanString(onChain?.data?.symbol) || offChain?.symbol || cleanString(raw.legacyMetadata?.symbol),
+    uri: cleanString(onChain?.data?.uri),
+    mintAuthority: mintInfo ? mintInfo.mintAuthority || null : null,
+    freezeAuthority: mintInfo ? mintInfo.freezeAuthority || null : null,
+    mintable: mintInfo ? !!mintInfo.mintAuthority : null,
+    freezable: mintInfo ? !!mintInfo.freezeAuthority : null,
+    updateAuthority: onChain?.updateAuthority || null,
+    isMutable: typeof onChain?.isMutable === 'boolean' ? onChain.isMutable : null,
+    offChain
+  };
+}
+
+// Normalized entries in the order of tokenAddresses (null where Helius returned nothing)
+function normalizeTokenMetadataBatch(entries, tokenAddresses) {
+  const byMint = new Map();
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    const metadata = normalizeTokenMetadata(entry);
+    if (metadata) byMint.set(metadata.mint, metadata);
+  });
+  return tokenAddresses.map(address => byMint.get(address) || null);
+}
+
+module.exports = {
+  normalizeTokenMetadata,
+  normalizeTokenMetadataBatch
+};
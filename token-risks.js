@@ -0,0 +1,84 @@
+// Token-2022 extension risks, read from the extensions of a jsonParsed mint account
+// These let someone move, tax, block, pause or freeze holders' tokens even after the mint and
+// freeze authorities are revoked, so they count against a token like an authority does.
+
+const RISK_DESCRIPTIONS = {
+  permanentDelegate: 'Permanent delegate: can transfer or burn tokens from any holder',
+  transferFee: 'Transfer fee',
+  transferHook: 'Transfer hook: a custom program runs on every transfer and can block it',
+  nonTransferable: 'Non-transferable: holders cannot sell or send the token',
+  defaultFrozen: 'New token accounts start frozen until the freeze authority thaws them',
+  pausable: 'Pausable: an authority can halt all transfers',
+  mintCloseAuthority: 'Mint close authority: once the supply is zero the mint can be closed and re-created with other settings'
+};
+
+const findExtension = (extensions, name) => extensions.find(entry => entry?.extension === name);
+
+// Highest of the current and the scheduled fee, in basis points
+function transferFeeBps(state) {
+  const fees = [state?.olderTransferFee, state?.newerTransferFee].map(fee => Number(fee?.transferFeeBasisPoints) || 0);
+  return Math.max(...fees);
+}
+
+// Structured risk details for a decoded mint ({ program, extensions }); null when the mint is unknown
+function detectExtensionRisks(mintAccount) {
+  if (!mintAccount) return null;
+
+  const extensions = Array.isArray(mintAccount.extensions) ? mintAccount.extensions : [];
+  const feeConfig = findExtension(extensions, 'transferFeeConfig');
+  const hook = findExtension(extensions, 'transferHook');
+  const pausable = findExtension(extensions, 'pausableConfig');
+
+  return {
+    permanentDelegate: findExtension(extensions, 'permanentDelegate')?.state?.delegate || null,
+    transferFeeBps: feeConfig ? transferFeeBps(feeConfig.state) : 0,
+    transferFeeAuthority: feeConfig?.state?.transferFeeConfigAuthority || null,
+    transferHookProgram: hook?.state?.programId || null,
+    nonTransferable: !!findExtension(extensions, 'nonTransferable'),
+    defaultFrozen: findExtension(extensions, 'defaultAccountState')?.state?.accountState === 'frozen',
+    pausableAuthority: pausable?.state?.authority || null,
+    paused: !!pausable?.state?.paused,
+    mintCloseAuthority: findExtension(extensions, 'mintCloseAuthority')?.state?.closeAuthority || null
+  };
+}
+
+// Names of the risks present, e.g. ['permanentDelegate', 'transferFee']
+// A zero fee still counts while its authority can raise it, an unpaused mint while someone can pause it
+function listExtensionRisks(risks) {
+  if (!risks) return [];
+
+  return Object.keys(RISK_DESCRIPTIONS).filter(name => {
+    switch (name) {
+      case 'transferFee': return risks.transferFeeBps > 0 || !!risks.transferFeeAuthority;
+      case 'transferHook': return !!risks.transferHookProgram;
+      case 'pausable': return risks.paused || !!risks.pausableAuthority;
+      default: return !!risks[name];
+    }
+  });
+}
+
+// Fields stored on enriched tokens (both null when the mint account could not be read)
+function extensionRiskFields(mintAccount) {
+  const risks = detectExtensionRisks(mintAccount);
+  return {
+    extensionRisks: risks,
+    hasExtensionRisk: risks ? listExtensionRisks(risks).length > 0 : null
+  };
+}
+
+// One line per risk for token cards
+function describeExtensionRisks(risks) {
+  return listExtensionRisks(risks).map(name => {
+    if (name === 'pausable' && risks.paused) return 'Paused: transfers are halted right now';
+    if (name !== 'transferFee') return RISK_DESCRIPTIONS[name];
+    const fee = `${RISK_DESCRIPTIONS.transferFee}: ${(risks.transferFeeBps / 100).toFixed(2)}%`;
+    return risks.transferFeeAuthority ? `${fee} (can be changed)` : fee;
+  });
+}
+
+module.exports = {
+  detectExtensionRisks,
+  listExtensionRisks,
+  extensionRiskFields,
+  describeExtensionRisks
+};
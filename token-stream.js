@@ -0,0 +1,239 @@
+// WebSocket streaming of cache updates on /ws
+const { WebSocketServer, WebSocket } = require('ws');
+const { getCacheSnapshot } = require('./cache-solana-tokens');
+
+const WS_PATH = '/ws';
+const CACHE_POLL_INTERVAL = 5000; // The cache job is a separate process, watch its writes
+const HEARTBEAT_INTERVAL = 30000;
+const MAX_BUFFERED_BYTES = 1024 * 1024; // Skip updates for clients above this, resync later
+const MAX_BUFFERED_BYTES_HARD = 4 * 1024 * 1024; // Disconnect clients above this
+const MAX_CHANNELS_PER_CLIENT = 50;
+
+// Fields compared when diffing token records
+const DIFF_FIELDS = ['name', 'ticker', 'price', 'marketCap', 'totalSupply', 'mintable', 'freezable'];
+
+const isValidChannel = channel =>
+  channel === 'enriched' || channel === 'new-tokens' || /^token:[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(channel);
+
+// Added / removed / changed tokens between two lists
+function diffTokenLists(prevTokens, nextTokens) {
+  const prev = new Map(prevTokens.map(t => [t.tokenAddress, t]));
+  const next = new Map(nextTokens.map(t => [t.tokenAddress, t]));
+
+  const added = nextTokens.filter(t => !prev.has(t.tokenAddress));
+  const removed = prevTokens.filter(t => !next.has(t.tokenAddress)).map(t => t.tokenAddress);
+  const updated = [];
+
+  for (const token of nextTokens) {
+    const before = prev.get(token.tokenAddress);
+    if (!before) continue;
+
+    const changes = {};
+    DIFF_FIELDS.forEach(field => {
+      if (before[field] !== token[field]) changes[field] = token[field];
+    });
+    if (Object.keys(changes).length > 0) {
+      updated.push({ tokenAddress: token.tokenAddress, changes });
+    }
+  }
+
+  return { added, removed, updated };
+}
+
+// options.verifyClient: optional ws handshake check (API keys)
+function attachTokenStream(server, options = {}) {
+  const wss = new WebSocketServer({ server, path: WS_PATH, verifyClient: options.verifyClient });
+
+  // Last known cache state, used for diffs and snapshots
+  const state = {
+    enriched: null,
+    latest: null,
+    tracked: null
+  };
+
+  function findToken(mint) {
+    return state.enriched?.tokens?.find(t => t.tokenAddress === mint) ||
+      state.tracked?.tokens?.find(t => t.tokenAddress === mint) ||
+      null;
+  }
+
+  function snapshotFor(channel) {
+    if (channel === 'enriched') {
+      return { timestamp: state.enriched?.timestamp || null, tokens: state.enriched?.tokens || [] };
+    }
+    if (channel === 'new-tokens') {
+      return { timestamp: state.latest?.timestamp || null, tokens: state.latest?.tokens || [] };
+    }
+    return { token: findToken(channel.slice('token:'.length)) };
+  }
+
+  // Send with backpressure: slow clients miss updates and get a fresh snapshot once drained
+  function send(ws, message) {
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES_HARD) {
+      console.warn('⚠️  WebSocket client too slow, disconnecting');
+      ws.terminate();
+      return;
+    }
+
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) {
+      if (message.channel) ws.needsResync.add(message.channel);
+      return;
+    }
+
+    ws.send(JSON.stringify(message));
+  }
+
+  function resync(ws) {
+    if (ws.bufferedAmount > MAX_BUFFERED_BYTES) return;
+
+    for (const channel of ws.needsResync) {
+      ws.needsResync.delete(channel);
+      if (ws.channels.has(channel)) {
+        send(ws, { type: 'snapshot', channel, data: snapshotFor(channel) });
+      }
+    }
+  }
+
+  function broadcast(channel, message) {
+    for (const ws of wss.clients) {
+      if (ws.channels?.has(channel)) send(ws, { ...message, channel });
+    }
+  }
+
+  function handleClientMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      send(ws, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    const { action, channel } = message || {};
+
+    if (action === 'ping') {
+      send(ws, { type: 'pong', timestamp: new Date().toISOString() });
+      return;
+    }
+
+    if (!isValidChannel(channel)) {
+      send(ws, { type: 'error', message: 'Unknown channel. Use enriched, new-tokens or token:<mint>' });
+      return;
+    }
+
+    if (action === 'subscribe') {
+      if (!ws.channels.has(channel) && ws.channels.size >= MAX_CHANNELS_PER_CLIENT) {
+        send(ws, { type: 'error', message: `Channel limit reached (${MAX_CHANNELS_PER_CLIENT})` });
+        return;
+      }
+      ws.channels.add(channel);
+      send(ws, { type: 'snapshot', channel, data: snapshotFor(channel) });
+    } else if (action === 'unsubscribe') {
+      ws.channels.delete(channel);
+      send(ws, { type: 'unsubscribed', channel });
+    } else {
+      send(ws, { type: 'error', message: 'Unknown action. Use subscribe, unsubscribe or ping' });
+    }
+  }
+
+  wss.on('connection', (ws, req) => {
+    ws.isAlive = true;
+    ws.channels = new Set();
+    ws.needsResync = new Set();
+
+    console.log(`🔌 WebSocket client connected from ${req.socket.remoteAddress} (${wss.clients.size} total)`);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+      resync(ws);
+    });
+    ws.on('message', raw => handleClientMessage(ws, raw.toString()));
+    ws.on('error', error => console.error('❌ WebSocket client error:', error.message));
+    ws.on('close', () => console.log(`🔌 WebSocket client disconnected (${wss.clients.size} total)`));
+
+    send(ws, { type: 'welcome', channels: ['enriched', 'new-tokens', 'token:<mint>'] });
+  });
+
+  // Heartbeat: drop clients that didn't answer the previous ping
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, HEARTBEAT_INTERVAL);
+
+  // Publish diffs when the cache job writes a new enriched / latest payload
+  async function pollCache() {
+    try {
+      const { enriched, latest, tracked } = await getCacheSnapshot();
+
+      if (enriched && enriched.timestamp !== state.enriched?.timestamp) {
+        const prevEnriched = state.enriched;
+        const prevTracked = state.tracked;
+        state.enriched = enriched;
+        state.tracked = tracked;
+
+        if (prevEnriched) {
+          const diff = diffTokenLists(prevEnriched.tokens || [], enriched.tokens || []);
+          broadcast('enriched', { type: 'diff', timestamp: enriched.timestamp, ...diff });
+
+          // Per-token channels get the full record whenever it changed
+          const before = new Map([...(prevTracked?.tokens || []), ...(prevEnriched.tokens || [])].map(t => [t.tokenAddress, t]));
+          const subscribedMints = new Set();
+          for (const ws of wss.clients) {
+            ws.channels?.forEach(channel => {
+              if (channel.startsWith('token:')) subscribedMints.add(channel.slice('token:'.length));
+            });
+          }
+          for (const mint of subscribedMints) {
+            const token = findToken(mint);
+            const prevToken = before.get(mint);
+            if (token && (!prevToken || DIFF_FIELDS.some(field => prevToken[field] !== token[field]))) {
+              broadcast(`token:${mint}`, { type: 'update', timestamp: enriched.timestamp, token });
+            }
+          }
+        }
+      }
+
+      if (latest && latest.timestamp !== state.latest?.timestamp) {
+        const prevLatest = state.latest;
+        state.latest = latest;
+
+        if (prevLatest) {
+          const { added } = diffTokenLists(prevLatest.tokens || [], latest.tokens || []);
+          if (added.length > 0) {
+            broadcast('new-tokens', { type: 'diff', timestamp: latest.timestamp, added });
+          }
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error polling cache for WebSocket updates:', error.message);
+    }
+  }
+
+  pollCache();
+  const poller = setInterval(pollCache, CACHE_POLL_INTERVAL);
+
+  wss.on('close', () => {
+    clearInterval(heartbeat);
+    clearInterval(poller);
+  });
+
+  console.log(`🔌 WebSocket stream listening on ${WS_PATH}`);
+
+  return {
+    clientCount: () => wss.clients.size,
+    close: () => wss.close()
+  };
+}
+
+module.exports = {
+  attachTokenStream,
+  diffTokenLists
+};